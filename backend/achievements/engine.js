@@ -0,0 +1,139 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { isRankedRun } from "../lib/leaderboard.js";
+
+// Achievements are declared in definitions.json and checked after a run has
+// passed validation (or been approved by a moderator):
+//   scope "run"      - the metric of that single run reaches the threshold
+//   scope "lifetime" - the metric summed over all of the player's counted runs does
+// Metrics come from the stored run rows, whose counts are taken from the
+// validated event log.
+export const SCOPES = ["run", "lifetime"];
+
+// Every run ends on the obstacle that stopped it, so that one isn't cleared.
+const METRICS = {
+  runs: () => 1,
+  score: run => run.score || 0,
+  duration: run => run.duration || 0,
+  jumps: run => run.jump_count || 0,
+  obstaclesCleared: run => Math.max(0, (run.obstacle_count || 0) - 1),
+};
+
+const DEFAULT_DEFINITIONS_PATH = fileURLToPath(new URL("./definitions.json", import.meta.url));
+
+export function loadAchievements(path = process.env.ACHIEVEMENTS_PATH || DEFAULT_DEFINITIONS_PATH) {
+  const config = JSON.parse(fs.readFileSync(path, "utf8"));
+  const seen = new Set();
+
+  return (config.achievements || []).map(def => {
+    if (!def.id || seen.has(def.id)) {
+      throw new Error(`Missing or duplicate achievement id "${def.id}" in ${path}`);
+    }
+    if (!SCOPES.includes(def.scope)) {
+      throw new Error(`Invalid scope "${def.scope}" for achievement "${def.id}"`);
+    }
+    if (!METRICS[def.metric]) {
+      throw new Error(`Unknown metric "${def.metric}" for achievement "${def.id}"`);
+    }
+    if (!(def.threshold > 0)) {
+      throw new Error(`Invalid threshold for achievement "${def.id}"`);
+    }
+    seen.add(def.id);
+    return { id: def.id, name: def.name, description: def.description, scope: def.scope, metric: def.metric, threshold: def.threshold };
+  });
+}
+
+let activeAchievements = loadAchievements();
+
+export function getAchievements() {
+  return activeAchievements;
+}
+
+export function reloadAchievements(path) {
+  activeAchievements = loadAchievements(path);
+  return activeAchievements;
+}
+
+export function runTotals(run) {
+  return Object.fromEntries(Object.entries(METRICS).map(([name, read]) => [name, read(run)]));
+}
+
+export function lifetimeTotals(runs) {
+  const totals = Object.fromEntries(Object.keys(METRICS).map(name => [name, 0]));
+  for (const run of runs.filter(isRankedRun)) {
+    for (const [name, read] of Object.entries(METRICS)) {
+      totals[name] += read(run);
+    }
+  }
+  return totals;
+}
+
+function progressOf(def, runValues, lifetime) {
+  return def.scope === "run" ? runValues[def.metric] : lifetime[def.metric];
+}
+
+// Definitions newly met by `run`, skipping ids already in `unlockedIds`.
+export function evaluateAchievements({ run, lifetime, unlockedIds }, definitions = activeAchievements) {
+  const runValues = runTotals(run);
+  return definitions.filter(def =>
+    !unlockedIds.has(def.id) && progressOf(def, runValues, lifetime) >= def.threshold
+  );
+}
+
+// Stores unlocks for a counted run. Returns the newly unlocked definitions;
+// failures are logged and never fail the submission itself.
+export async function awardAchievements(store, userId, run, log) {
+  const { data: runs, error: runsError } = await store.runs.listAllByUser(userId);
+  const { data: unlocked, error: unlockedError } = await store.achievements.listByUser(userId);
+
+  if (runsError || unlockedError) {
+    log.error("Failed to load achievement progress", { userId, err: runsError || unlockedError });
+    return [];
+  }
+
+  const earned = evaluateAchievements({
+    run,
+    lifetime: lifetimeTotals(runs),
+    unlockedIds: new Set(unlocked.map(a => a.achievement_id)),
+  });
+
+  if (earned.length === 0) return [];
+
+  const now = new Date().toISOString();
+  const { data: inserted, error: insertError } = await store.achievements.create(earned.map(def => ({
+    user_id: userId,
+    achievement_id: def.id,
+    run_id: run.id,
+    unlocked_at: now,
+  })));
+
+  if (insertError) {
+    log.error("Failed to store achievements", { userId, err: insertError });
+    return [];
+  }
+
+  // A concurrent submission may have stored some of them first.
+  const stored = new Set(inserted.map(a => a.achievement_id));
+  const awarded = earned.filter(def => stored.has(def.id));
+  if (awarded.length > 0) {
+    log.info("Achievements unlocked", { userId, achievements: awarded.map(def => def.id) });
+  }
+  return awarded.map(({ id, name, description }) => ({ id, name, description, unlockedAt: now }));
+}
+
+// Every definition with the player's unlock state and lifetime progress.
+export function describeAchievements(unlocked, lifetime, definitions = activeAchievements) {
+  const unlockedAt = new Map(unlocked.map(a => [a.achievement_id, a.unlocked_at]));
+
+  return definitions.map(def => ({
+    id: def.id,
+    name: def.name,
+    description: def.description,
+    scope: def.scope,
+    unlocked: unlockedAt.has(def.id),
+    unlockedAt: unlockedAt.get(def.id) || null,
+    progress: def.scope === "lifetime"
+      ? { current: Math.min(lifetime[def.metric], def.threshold), target: def.threshold }
+      : null,
+  }));
+}
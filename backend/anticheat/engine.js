@@ -0,0 +1,111 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import rules from "./rules/index.js";
+
+// Severity decides what a failing rule does to the run:
+//   reject - the submission is refused
+//   flag   - the submission is accepted but marked for attention
+//   log    - the failure is only recorded in the report
+// Failed "flag" rules add their weight to the run's suspicion score; runs at
+// or above the rule set's reviewThreshold are held for moderator review.
+// Each rule's `code` is an entry of errors/catalog.json; the first rejecting
+// rule's code is what the player is told.
+export const SEVERITIES = ["reject", "flag", "log"];
+
+// Rates checked on each checkpoint upload, over the whole log so far.
+const CHECKPOINT_DEFAULTS = { maxEventsPerSecond: 10, maxJumpsPerSecond: 3 };
+
+const DEFAULT_RULESET_PATH = fileURLToPath(new URL("./ruleset.json", import.meta.url));
+
+export function loadRuleSet(path = process.env.ANTICHEAT_RULESET || DEFAULT_RULESET_PATH) {
+  const config = JSON.parse(fs.readFileSync(path, "utf8"));
+  const configured = config.rules || {};
+  const known = new Set(rules.map(r => r.name));
+
+  for (const name of Object.keys(configured)) {
+    if (!known.has(name)) {
+      throw new Error(`Unknown anti-cheat rule "${name}" in ${path}`);
+    }
+  }
+
+  const enabled = rules
+    .filter(rule => configured[rule.name]?.enabled)
+    .map(rule => {
+      const entry = configured[rule.name];
+      const severity = entry.severity || "reject";
+      if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid severity "${severity}" for anti-cheat rule "${rule.name}"`);
+      }
+      return {
+        rule,
+        severity,
+        weight: entry.weight ?? 1,
+        options: { ...rule.defaults, ...entry.options },
+      };
+    });
+
+  return {
+    rules: enabled,
+    reviewThreshold: config.reviewThreshold ?? 1,
+    checkpoints: { ...CHECKPOINT_DEFAULTS, ...config.checkpoints },
+  };
+}
+
+let activeRuleSet = loadRuleSet();
+
+export function getRuleSet() {
+  return activeRuleSet;
+}
+
+export function reloadRuleSet(path) {
+  activeRuleSet = loadRuleSet(path);
+  return activeRuleSet;
+}
+
+// `overrides` maps rule names to option overrides, e.g. a game mode's own
+// scoring rate; they apply on top of the rule set's options.
+export async function runRules(context, ruleSet = activeRuleSet, overrides = {}) {
+  const report = [];
+  let rejected = false;
+
+  for (const { rule, severity, weight, options } of ruleSet.rules) {
+    // Once a rule has rejected the run nothing else can change the outcome,
+    // so the remaining rules (replay among them) are not evaluated.
+    if (rejected) {
+      report.push({ rule: rule.name, severity, weight, passed: null, skipped: true, code: null, details: {} });
+      continue;
+    }
+
+    let verdict;
+    try {
+      verdict = await rule.evaluate(context, { ...options, ...overrides[rule.name] });
+    } catch (error) {
+      verdict = { passed: false, details: { error: error.message } };
+    }
+
+    report.push({
+      rule: rule.name,
+      severity,
+      weight,
+      passed: verdict.passed,
+      code: verdict.passed ? null : rule.code,
+      details: verdict.details || {},
+    });
+    rejected = !verdict.passed && severity === "reject";
+  }
+
+  const failed = report.filter(v => v.passed === false);
+  const rejectedBy = failed.filter(v => v.severity === "reject");
+  const flagged = failed.filter(v => v.severity === "flag");
+  const suspicion = flagged.reduce((total, v) => total + v.weight, 0);
+
+  return {
+    valid: rejectedBy.length === 0,
+    code: rejectedBy[0]?.code,
+    rejectedBy: rejectedBy.map(v => v.rule),
+    flaggedBy: flagged.map(v => v.rule),
+    suspicion,
+    needsReview: rejectedBy.length === 0 && suspicion > 0 && suspicion >= ruleSet.reviewThreshold,
+    report,
+  };
+}
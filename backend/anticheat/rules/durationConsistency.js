@@ -0,0 +1,14 @@
+export default {
+  name: "duration-consistency",
+  code: "DURATION_MISMATCH",
+  defaults: { maxDifference: 10000 },
+
+  evaluate({ startTs, endTs, duration }, options) {
+    const calculatedDuration = endTs - startTs;
+    const difference = Math.abs(duration - calculatedDuration);
+    return {
+      passed: difference <= options.maxDifference,
+      details: { duration, calculatedDuration, difference, maxDifference: options.maxDifference },
+    };
+  },
+};
@@ -0,0 +1,12 @@
+export default {
+  name: "duration-limits",
+  code: "DURATION_OUT_OF_RANGE",
+  defaults: { minDuration: 2000, maxDuration: 21600000 },
+
+  evaluate({ duration }, options) {
+    return {
+      passed: duration >= options.minDuration && duration <= options.maxDuration,
+      details: { duration, minDuration: options.minDuration, maxDuration: options.maxDuration },
+    };
+  },
+};
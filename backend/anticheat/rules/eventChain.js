@@ -0,0 +1,15 @@
+import { verifyEventChain } from "../../lib/eventChain.js";
+
+export default {
+  name: "event-chain",
+  code: "EVENT_CHAIN_BROKEN",
+  defaults: {},
+
+  evaluate({ events, userSession, sessionKey, gameSession }) {
+    const chain = verifyEventChain(events, userSession.secret, sessionKey, gameSession.chainHead);
+    return {
+      passed: chain.valid,
+      details: chain.valid ? {} : { reason: chain.reason },
+    };
+  },
+};
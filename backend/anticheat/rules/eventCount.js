@@ -0,0 +1,12 @@
+export default {
+  name: "event-count",
+  code: "EVENT_COUNT_OUT_OF_RANGE",
+  defaults: { minEvents: 2, maxEvents: 999999999999999 },
+
+  evaluate({ events }, options) {
+    return {
+      passed: events.length >= options.minEvents && events.length <= options.maxEvents,
+      details: { events: events.length, minEvents: options.minEvents, maxEvents: options.maxEvents },
+    };
+  },
+};
@@ -0,0 +1,13 @@
+export default {
+  name: "game-age",
+  code: "GAME_TOO_OLD",
+  defaults: { maxAge: 6 * 60 * 60 * 1000 },
+
+  evaluate({ startTs, now }, options) {
+    const gameAge = now - startTs;
+    return {
+      passed: gameAge <= options.maxAge,
+      details: { gameAge, maxAge: options.maxAge },
+    };
+  },
+};
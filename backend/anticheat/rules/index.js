@@ -0,0 +1,36 @@
+import submissionDelay from "./submissionDelay.js";
+import eventCount from "./eventCount.js";
+import eventChain from "./eventChain.js";
+import timestamps from "./timestamps.js";
+import gameAge from "./gameAge.js";
+import durationConsistency from "./durationConsistency.js";
+import durationLimits from "./durationLimits.js";
+import requiredEvents from "./requiredEvents.js";
+import scoreLimits from "./scoreLimits.js";
+import scoreRate from "./scoreRate.js";
+import physics from "./physics.js";
+import reactionTime from "./reactionTime.js";
+import jumpObstacleRatio from "./jumpObstacleRatio.js";
+import integrityViolations from "./integrityViolations.js";
+import replay from "./replay.js";
+
+// Evaluation order; cheap structural rules first so their verdicts lead the report.
+const rules = [
+  submissionDelay,
+  eventCount,
+  eventChain,
+  timestamps,
+  gameAge,
+  durationConsistency,
+  durationLimits,
+  requiredEvents,
+  scoreLimits,
+  scoreRate,
+  physics,
+  reactionTime,
+  jumpObstacleRatio,
+  integrityViolations,
+  replay,
+];
+
+export default rules;
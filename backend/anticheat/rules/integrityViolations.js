@@ -0,0 +1,13 @@
+export default {
+  name: "integrity-violations",
+  code: "INTEGRITY_VIOLATION",
+  defaults: {},
+
+  evaluate({ events }) {
+    const violations = events.filter(e => e.type === "integrity_violation").length;
+    return {
+      passed: violations === 0,
+      details: { violations },
+    };
+  },
+};
@@ -0,0 +1,17 @@
+export default {
+  name: "jump-obstacle-ratio",
+  code: "JUMP_RATIO_SUSPICIOUS",
+  defaults: { minRatio: 0.7, ratioScoreThreshold: 1000, noJumpScoreThreshold: 500 },
+
+  evaluate({ events, score }, options) {
+    const jumps = events.filter(e => e.type === "jump").length;
+    const obstacles = events.filter(e => e.type === "obstacle_spawn").length;
+    const tooFewJumps = score > options.ratioScoreThreshold && jumps < obstacles * options.minRatio;
+    const noJumps = score > options.noJumpScoreThreshold && jumps === 0;
+
+    return {
+      passed: !tooFewJumps && !noJumps,
+      details: { jumps, obstacles, score },
+    };
+  },
+};
@@ -0,0 +1,25 @@
+export default {
+  name: "physics",
+  code: "PHYSICS_MISMATCH",
+  defaults: {
+    msPerPoint: 50,
+    tolerance: 0.5,
+    minTolerance: 200,
+    highScoreThreshold: 5000,
+    highScoreMultiplier: 2,
+  },
+
+  evaluate({ score, duration }, options) {
+    const expectedScore = Math.floor(duration / options.msPerPoint);
+    const difference = Math.abs(score - expectedScore);
+    const baseTolerance = Math.max(options.minTolerance, expectedScore * options.tolerance);
+    const allowed = score > options.highScoreThreshold
+      ? baseTolerance * options.highScoreMultiplier
+      : baseTolerance;
+
+    return {
+      passed: difference <= allowed,
+      details: { expectedScore, score, difference, tolerance: allowed },
+    };
+  },
+};
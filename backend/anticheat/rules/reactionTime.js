@@ -0,0 +1,34 @@
+export default {
+  name: "reaction-time",
+  code: "REACTION_TIME_SUSPICIOUS",
+  defaults: {
+    minIntervals: 10,
+    fastInterval: 50,
+    maxFastRatio: 0.3,
+    longGameDuration: 300000,
+    longGameMaxFastRatio: 0.5,
+  },
+
+  evaluate({ events, duration }, options) {
+    const jumps = events.filter(e => e.type === "jump");
+    const intervals = [];
+    for (let i = 1; i < jumps.length; i++) {
+      intervals.push(jumps[i].timestamp - jumps[i - 1].timestamp);
+    }
+
+    if (intervals.length <= options.minIntervals) {
+      return { passed: true, details: { intervals: intervals.length, skipped: true } };
+    }
+
+    const fastReactions = intervals.filter(interval => interval < options.fastInterval).length;
+    const maxRatio = duration > options.longGameDuration
+      ? options.longGameMaxFastRatio
+      : options.maxFastRatio;
+    const ratio = fastReactions / intervals.length;
+
+    return {
+      passed: ratio <= maxRatio,
+      details: { fastReactions, intervals: intervals.length, ratio: Number(ratio.toFixed(3)), maxRatio },
+    };
+  },
+};
@@ -0,0 +1,35 @@
+import { REPLAY_PHYSICS, normalizeInputs, simulateRun } from "../../lib/replay.js";
+
+export default {
+  name: "replay",
+  code: "REPLAY_MISMATCH",
+  // The simulation is bounded by maxDuration, not by the duration the
+  // client reports.
+  defaults: { durationSlack: 10000, maxDuration: 21600000 },
+
+  // `physics` is set for sessions played with modified parameters (daily challenge).
+  evaluate({ gameSession, userSession, duration, score, physics = REPLAY_PHYSICS }, options) {
+    const jumpFrames = normalizeInputs(gameSession.inputs);
+    if (!jumpFrames || !Number.isInteger(userSession.seed)) {
+      return { passed: false, details: { reason: "missing replay inputs or session seed" } };
+    }
+
+    if (!Number.isFinite(duration) || duration > options.maxDuration) {
+      return { passed: false, details: { reason: "duration beyond the replay limit", maxDuration: options.maxDuration } };
+    }
+
+    const frameMs = 1000 / physics.FPS;
+    const maxFrames = Math.ceil((Math.max(duration, 0) + options.durationSlack) / frameMs);
+    const replay = simulateRun(userSession.seed, jumpFrames, maxFrames, physics);
+
+    return {
+      passed: replay.collided && replay.score === score,
+      details: {
+        inputs: jumpFrames.length,
+        collisionFrame: replay.collisionFrame,
+        simulatedScore: replay.score,
+        submittedScore: score,
+      },
+    };
+  },
+};
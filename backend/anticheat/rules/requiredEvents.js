@@ -0,0 +1,14 @@
+export default {
+  name: "required-events",
+  code: "REQUIRED_EVENTS_MISSING",
+  defaults: { startTypes: ["game_start"], endTypes: ["collision", "game_over"] },
+
+  evaluate({ events }, options) {
+    const hasStartEvent = events.some(e => options.startTypes.includes(e.type));
+    const hasEndEvent = events.some(e => options.endTypes.includes(e.type));
+    return {
+      passed: hasStartEvent && hasEndEvent,
+      details: { hasStartEvent, hasEndEvent },
+    };
+  },
+};
@@ -0,0 +1,12 @@
+export default {
+  name: "score-limits",
+  code: "SCORE_OUT_OF_RANGE",
+  defaults: { maxScore: 15000000 },
+
+  evaluate({ score }, options) {
+    return {
+      passed: score >= 0 && score <= options.maxScore,
+      details: { score, maxScore: options.maxScore },
+    };
+  },
+};
@@ -0,0 +1,13 @@
+export default {
+  name: "score-rate",
+  code: "SCORE_RATE_OUT_OF_RANGE",
+  defaults: { minPerSecond: 10, maxPerSecond: 30 },
+
+  evaluate({ score, duration }, options) {
+    const scoreRate = (score / duration) * 1000;
+    return {
+      passed: scoreRate >= options.minPerSecond && scoreRate <= options.maxPerSecond,
+      details: { scoreRate: Number(scoreRate.toFixed(2)), minPerSecond: options.minPerSecond, maxPerSecond: options.maxPerSecond },
+    };
+  },
+};
@@ -0,0 +1,13 @@
+export default {
+  name: "submission-delay",
+  code: "SUBMISSION_TOO_LATE",
+  defaults: { maxDelay: 999999999999999, requireFreshGame: true },
+
+  evaluate({ endTs, now }, options) {
+    const submissionDelay = now - endTs;
+    return {
+      passed: !options.requireFreshGame || submissionDelay <= options.maxDelay,
+      details: { submissionDelay, maxDelay: options.maxDelay },
+    };
+  },
+};
@@ -0,0 +1,20 @@
+export default {
+  name: "timestamps",
+  code: "INVALID_TIMESTAMPS",
+  defaults: {},
+
+  evaluate({ startTs, endTs, now }) {
+    const details = {
+      startTsValid: !isNaN(startTs),
+      endTsValid: !isNaN(endTs),
+      startInFuture: startTs > now,
+      endInFuture: endTs > now,
+      startAfterEnd: startTs > endTs,
+    };
+    return {
+      passed: details.startTsValid && details.endTsValid &&
+        !details.startInFuture && !details.endInFuture && !details.startAfterEnd,
+      details,
+    };
+  },
+};
@@ -0,0 +1,108 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import logger from "../lib/logger.js";
+
+// Every API failure answers with the same envelope:
+//   { "error": "<message>", "code": "<CODE>", "details": { ... }, "requestId": "..." }
+// `code` is a stable entry of catalog.json and `details` is optional. A code
+// with `publicAs` is only logged; players see the code it names instead, with
+// that code's message and no details, so rejections don't reveal which
+// anti-cheat check fired. Set ERROR_CATALOG_PATH to load a different catalog.
+
+const DEFAULT_CATALOG_PATH = fileURLToPath(new URL("./catalog.json", import.meta.url));
+
+export function loadErrorCatalog(path = process.env.ERROR_CATALOG_PATH || DEFAULT_CATALOG_PATH) {
+  const config = JSON.parse(fs.readFileSync(path, "utf8"));
+  const entries = config.errors || {};
+
+  for (const [code, entry] of Object.entries(entries)) {
+    if (!Number.isInteger(entry.status) || entry.status < 400 || entry.status > 599) {
+      throw new Error(`Invalid status for error code "${code}" in ${path}`);
+    }
+    if (typeof entry.message !== "string") {
+      throw new Error(`Missing message for error code "${code}" in ${path}`);
+    }
+    if (entry.publicAs && (!entries[entry.publicAs] || entries[entry.publicAs].publicAs)) {
+      throw new Error(`Error code "${code}" must be shown as a public code, not "${entry.publicAs}"`);
+    }
+  }
+  if (!entries.INTERNAL_ERROR) {
+    throw new Error(`Error catalog ${path} must define INTERNAL_ERROR`);
+  }
+
+  return entries;
+}
+
+let activeCatalog = loadErrorCatalog();
+
+export function getErrorCatalog() {
+  return activeCatalog;
+}
+
+export function reloadErrorCatalog(path) {
+  activeCatalog = loadErrorCatalog(path);
+  return activeCatalog;
+}
+
+// Thrown (or passed to next) from anywhere in a request; errorHandler
+// renders it.
+export class ApiError extends Error {
+  constructor(code, { message, details } = {}) {
+    super(message || activeCatalog[code]?.message || code);
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Handlers may override the catalog message with something more specific,
+// e.g. which resource failed to load.
+export function sendError(res, code, { message, details } = {}) {
+  const req = res.req;
+  let entry = activeCatalog[code];
+
+  if (!entry) {
+    (req.log || logger).error("Unknown error code", { code });
+    code = "INTERNAL_ERROR";
+    entry = activeCatalog[code];
+  }
+
+  if (entry.publicAs) {
+    (req.log || logger).info("Error code masked", { code, publicCode: entry.publicAs });
+    code = entry.publicAs;
+    entry = activeCatalog[code];
+    message = undefined;
+    details = undefined;
+  }
+
+  return res.status(entry.status).json({
+    error: message || entry.message,
+    code,
+    ...(details && { details }),
+    requestId: req.id,
+  });
+}
+
+export function notFoundHandler(req, res) {
+  sendError(res, "NOT_FOUND");
+}
+
+// Express error middleware: ApiErrors, body parser failures and anything
+// unexpected all leave in the standard envelope.
+export function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof ApiError) {
+    return sendError(res, err.code, { message: err.message, details: err.details });
+  }
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, "INVALID_JSON");
+  }
+  if (err.type === "entity.too.large") {
+    return sendError(res, "PAYLOAD_TOO_LARGE");
+  }
+
+  (req.log || logger).error("Unhandled error", { err });
+  sendError(res, "INTERNAL_ERROR");
+}
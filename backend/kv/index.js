@@ -0,0 +1,11 @@
+import { createMemoryKv } from "./memory.js";
+import { createRedisKv } from "./redis.js";
+
+// Shared state that must hold across instances (active sessions, consumed
+// session keys, rate limit counters). Set REDIS_URL on multi-instance or
+// serverless deployments; without it state is per process.
+const kv = process.env.REDIS_URL
+  ? createRedisKv(process.env.REDIS_URL)
+  : createMemoryKv();
+
+export default kv;
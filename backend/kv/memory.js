@@ -0,0 +1,80 @@
+// Process-local key-value store. Only correct while a single instance
+// serves all traffic; set REDIS_URL for anything else.
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+export function createMemoryKv() {
+  const entries = new Map(); // key -> { value, expiresAt }
+
+  function live(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  function expiry(ttlMs) {
+    return ttlMs ? Date.now() + ttlMs : null;
+  }
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) entries.delete(key);
+    }
+  }, SWEEP_INTERVAL);
+  sweep.unref();
+
+  return {
+    driver: "memory",
+
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+
+    async set(key, value, ttlMs) {
+      entries.set(key, { value, expiresAt: expiry(ttlMs) });
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      if (live(key)) return false;
+      entries.set(key, { value, expiresAt: expiry(ttlMs) });
+      return true;
+    },
+
+    async del(key) {
+      entries.delete(key);
+    },
+
+    async incr(key, ttlMs) {
+      const entry = live(key);
+      if (!entry) {
+        const created = { value: 1, expiresAt: expiry(ttlMs) };
+        entries.set(key, created);
+        return { count: 1, resetAt: created.expiresAt };
+      }
+      entry.value += 1;
+      return { count: entry.value, resetAt: entry.expiresAt };
+    },
+
+    async decr(key) {
+      const entry = live(key);
+      if (entry && entry.value > 0) entry.value -= 1;
+    },
+
+    async count(prefix) {
+      let total = 0;
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix) && live(key)) total++;
+      }
+      return total;
+    },
+
+    async ping() {
+      return { error: null };
+    },
+  };
+}
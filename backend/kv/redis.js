@@ -0,0 +1,74 @@
+import Redis from "ioredis";
+
+// INCR and set the window expiry atomically. Checking PTTL rather than
+// count == 1 means a key that somehow lost its expiry gets one back instead
+// of counting forever.
+const INCR_WITH_TTL = `
+local count = redis.call('INCR', KEYS[1])
+if redis.call('PTTL', KEYS[1]) < 0 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+// Plain DECR on an expired key would create it at -1 with no expiry.
+const DECR_IF_POSITIVE = `
+local count = tonumber(redis.call('GET', KEYS[1]))
+if count and count > 0 then return redis.call('DECR', KEYS[1]) end
+return count
+`;
+
+export function createRedisKv(url) {
+  const redis = new Redis(url, {
+    maxRetriesPerRequest: 2,
+    enableOfflineQueue: true,
+  });
+
+  return {
+    driver: "redis",
+
+    async get(key) {
+      return await redis.get(key);
+    },
+
+    async set(key, value, ttlMs) {
+      if (ttlMs) {
+        await redis.set(key, value, "PX", ttlMs);
+      } else {
+        await redis.set(key, value);
+      }
+    },
+
+    async setIfAbsent(key, value, ttlMs) {
+      const result = ttlMs
+        ? await redis.set(key, value, "PX", ttlMs, "NX")
+        : await redis.set(key, value, "NX");
+      return result === "OK";
+    },
+
+    async del(key) {
+      await redis.del(key);
+    },
+
+    async incr(key, ttlMs) {
+      const [count, pttl] = await redis.eval(INCR_WITH_TTL, 1, key, ttlMs);
+      return { count, resetAt: pttl > 0 ? Date.now() + pttl : null };
+    },
+
+    async decr(key) {
+      await redis.eval(DECR_IF_POSITIVE, 1, key);
+    },
+
+    // Counting keys would need a full SCAN; not worth it on a shared store.
+    async count() {
+      return null;
+    },
+
+    async ping() {
+      try {
+        await redis.ping();
+        return { error: null };
+      } catch (error) {
+        return { error };
+      }
+    },
+  };
+}
@@ -0,0 +1,57 @@
+// Everything stored about a player, for the account export and deletion.
+// The admin audit log is kept on deletion: it records what moderators did,
+// not the player's own data.
+
+// Rows are returned as stored, apart from the per-session event log secrets.
+export async function exportAccount(store, user) {
+  const [profile, bestScores, runs, sessions, achievements, dailyResults] = await Promise.all([
+    store.profiles.findByUserId(user.id),
+    store.modeScores.listByUser(user.id),
+    store.runs.exportByUser(user.id),
+    store.sessions.listByUser(user.id),
+    store.achievements.listByUser(user.id),
+    store.dailyResults.listByUser(user.id),
+  ]);
+
+  const error = [profile, bestScores, runs, sessions, achievements, dailyResults].find(r => r.error)?.error;
+  if (error) return { data: null, error };
+
+  return {
+    data: {
+      exportedAt: new Date().toISOString(),
+      account: {
+        id: user.id,
+        email: user.email || null,
+        guest: Boolean(user.is_anonymous),
+        username: user.user_metadata?.username || null,
+        createdAt: user.created_at,
+      },
+      profile: profile.data,
+      bestScores: bestScores.data,
+      runs: runs.data,
+      sessions: sessions.data.map(({ secret, ...session }) => session),
+      achievements: achievements.data,
+      dailyResults: dailyResults.data,
+    },
+    error: null,
+  };
+}
+
+// Rows that reference runs go first. The auth user is left to the caller so
+// a failure here can be retried with the same token.
+export async function deleteAccountData(store, userId) {
+  const steps = [
+    store.achievements,
+    store.dailyResults,
+    store.modeScores,
+    store.runs,
+    store.sessions,
+  ];
+
+  for (const repo of steps) {
+    const { error } = await repo.deleteByUser(userId);
+    if (error) return { data: null, error };
+  }
+
+  return await store.profiles.delete(userId);
+}
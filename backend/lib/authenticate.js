@@ -0,0 +1,57 @@
+import storage from "../storage/index.js";
+import { metrics } from "./metrics.js";
+import { sendError } from "../errors/index.js";
+
+export async function authenticateUser(req, res) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader) {
+    metrics.authFailures.inc({ reason: "missing_header" });
+    sendError(res, "AUTH_REQUIRED");
+    return null;
+  }
+
+  const token = authHeader.split(" ")[1];
+  if (!token) {
+    metrics.authFailures.inc({ reason: "missing_token" });
+    sendError(res, "AUTH_REQUIRED");
+    return null;
+  }
+
+  const store = storage.withToken(token);
+  try {
+    const { data: user, error: userError } = await store.auth.getUser(token);
+    
+    if (userError || !user) {
+      metrics.authFailures.inc({ reason: "invalid_token" });
+      req.log.info("User authentication failed", { error: userError?.message || "User not found" });
+      sendError(res, "AUTH_FAILED");
+      return null;
+    }
+    
+    return { user, store };
+  } catch (error) {
+    req.log.error("Authentication error", { err: error });
+    metrics.authFailures.inc({ reason: "error" });
+    sendError(res, "AUTH_FAILED");
+    return null;
+  }
+}
+
+// Roles live in app_metadata, which only the service role can write.
+export function isAdmin(user) {
+  return user?.app_metadata?.role === "admin";
+}
+
+export async function authenticateAdmin(req, res) {
+  const auth = await authenticateUser(req, res);
+  if (!auth) return null;
+
+  if (!isAdmin(auth.user)) {
+    metrics.authFailures.inc({ reason: "not_admin" });
+    req.log.warn("Admin access denied", { userId: auth.user.id });
+    sendError(res, "ADMIN_REQUIRED");
+    return null;
+  }
+
+  return auth;
+}
@@ -0,0 +1,47 @@
+import { defaultModeId, getMode, listModes } from "../modes/index.js";
+
+// Every mode keeps its own best score per player. The default mode's lives
+// on the profile (it backs the main leaderboard); other modes use
+// mode_best_scores. Daily challenge modes are ranked per day instead and
+// have none.
+
+export function tracksBestScore(mode) {
+  const profile = getMode(mode);
+  return Boolean(profile) && !profile.dailyChallenge;
+}
+
+export async function getBestScore(store, userId, mode) {
+  const { data, error } = mode === defaultModeId()
+    ? await store.profiles.findByUserId(userId)
+    : await store.modeScores.find(userId, mode);
+
+  if (error) return { data: null, error };
+  return { data: { score: data?.score || 0, lastUpdated: data?.last_updated || null }, error: null };
+}
+
+// `achievedAt` breaks leaderboard ties, so scores restored by moderators
+// keep the time of the run that set them.
+export async function saveBestScore(store, userId, mode, score, achievedAt = new Date()) {
+  const lastUpdated = new Date(achievedAt).toISOString();
+
+  if (mode === defaultModeId()) {
+    return await store.profiles.update(userId, { score, last_updated: lastUpdated });
+  }
+  return await store.modeScores.upsert({ user_id: userId, mode, score, last_updated: lastUpdated });
+}
+
+// { [mode]: best score } for every mode that tracks one.
+export async function listBestScores(store, userId, profile) {
+  const { data: rows, error } = await store.modeScores.listByUser(userId);
+  if (error) return { data: null, error };
+
+  const scores = new Map(rows.map(r => [r.mode, r.score]));
+  scores.set(defaultModeId(), profile?.score || 0);
+
+  return {
+    data: Object.fromEntries(listModes()
+      .filter(mode => !mode.dailyChallenge)
+      .map(mode => [mode.id, scores.get(mode.id) || 0])),
+    error: null,
+  };
+}
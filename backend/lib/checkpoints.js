@@ -0,0 +1,178 @@
+import kv from "../kv/index.js";
+import { verifyEventSequence } from "./eventChain.js";
+import { normalizeInputs } from "./replay.js";
+
+// Long runs can upload their event log in batches while they are played
+// (POST /api/sessions/:sessionKey/checkpoint). Each batch is checked as it
+// arrives and stored in the shared key-value store until the session
+// expires. The final /api/scoreupdate then only carries the rest of the log,
+// and the rules see the whole run.
+//
+// The checks only need a summary of what came before (chain head, counts,
+// first and last timestamp, last input frame), kept under the session's
+// checkpoint key. The batches themselves are written once under their own
+// keys and only read back for the final submission.
+
+const CHECKPOINT_PREFIX = "session:checkpoint:";
+const TERMINAL_TYPES = ["collision", "game_over"];
+
+// Uploads for one session are handled one at a time; the lock expires on
+// its own if the instance holding it dies.
+const LOCK_TTL = 10 * 1000;
+
+function batchKey(sessionKey, index) {
+  return `${CHECKPOINT_PREFIX}${sessionKey}:${index}`;
+}
+
+export async function lockCheckpoint(sessionKey) {
+  return await kv.setIfAbsent(`${CHECKPOINT_PREFIX}${sessionKey}:lock`, "1", LOCK_TTL);
+}
+
+export async function unlockCheckpoint(sessionKey) {
+  await kv.del(`${CHECKPOINT_PREFIX}${sessionKey}:lock`);
+}
+
+export async function getCheckpoint(sessionKey) {
+  const raw = await kv.get(CHECKPOINT_PREFIX + sessionKey);
+  return raw ? JSON.parse(raw) : null;
+}
+
+// The batch goes first: if the state write fails, the next upload simply
+// overwrites it.
+export async function saveCheckpoint(sessionKey, state, batch, expiresAt) {
+  const ttl = Math.max(1, expiresAt - Date.now());
+  await kv.set(batchKey(sessionKey, state.batches - 1), JSON.stringify(batch), ttl);
+  await kv.set(CHECKPOINT_PREFIX + sessionKey, JSON.stringify(state), ttl);
+}
+
+export async function clearCheckpoint(sessionKey) {
+  const state = await getCheckpoint(sessionKey);
+  await kv.del(CHECKPOINT_PREFIX + sessionKey);
+  for (let i = 0; i < (state?.batches ?? 0); i++) {
+    await kv.del(batchKey(sessionKey, i));
+  }
+}
+
+// Everything uploaded for the session, in order, or null without checkpoints.
+export async function getCheckpointLog(sessionKey) {
+  const state = await getCheckpoint(sessionKey);
+  if (!state) return null;
+
+  const batches = await Promise.all(
+    Array.from({ length: state.batches }, (_, i) => kv.get(batchKey(sessionKey, i)))
+  );
+  if (batches.some(raw => !raw)) {
+    throw new Error(`Checkpoint batches of session ${sessionKey} are missing`);
+  }
+
+  const log = { events: [], inputs: [] };
+  for (const raw of batches) {
+    const batch = JSON.parse(raw);
+    log.events.push(...batch.events);
+    log.inputs.push(...batch.inputs);
+  }
+  return log;
+}
+
+// The submitted tail appended to everything uploaded before it.
+export function withCheckpoint(gameSession, log) {
+  if (!log) return gameSession;
+  return {
+    ...gameSession,
+    events: [...log.events, ...gameSession.events],
+    inputs: [...log.inputs, ...(gameSession.inputs || [])],
+  };
+}
+
+function perSecond(count, firstTimestamp, lastTimestamp) {
+  return count / Math.max(1, (lastTimestamp - firstTimestamp) / 1000);
+}
+
+// Checks one uploaded batch against the state so far and returns the new
+// state with the batch to store. `forfeit` marks failures that end the run:
+// a broken chain, time running backwards or events faster than the game can
+// produce them. Re-sending the last accepted batch (e.g. after a timeout) is
+// answered with the current state and nothing to store.
+export function applyCheckpoint(state, { events, inputs = [] }, { secret, sessionKey, now, limits }) {
+  const previous = state || {
+    head: sessionKey,
+    nextSeq: 0,
+    batches: 0,
+    jumps: 0,
+    firstTimestamp: null,
+    lastTimestamp: null,
+    lastFrame: null,
+    lastBatch: null,
+  };
+
+  const last = events[events.length - 1];
+  if (previous.lastBatch && last.seq === previous.lastBatch.seq && last.hash === previous.lastBatch.hash) {
+    return { valid: true, state: previous, batch: null };
+  }
+  if (events[0].seq < previous.nextSeq) {
+    return {
+      valid: false,
+      code: "INVALID_CHECKPOINT",
+      message: `Events before seq ${previous.nextSeq} were already uploaded`,
+    };
+  }
+
+  const chain = verifyEventSequence(events, secret, previous.head, previous.nextSeq);
+  if (!chain.valid) {
+    return { valid: false, forfeit: true, code: "EVENT_CHAIN_BROKEN", reason: chain.reason };
+  }
+
+  if (events.some(e => TERMINAL_TYPES.includes(e.type))) {
+    return {
+      valid: false,
+      code: "INVALID_CHECKPOINT",
+      message: "The event that ends the run belongs in /api/scoreupdate",
+    };
+  }
+
+  let lastTimestamp = previous.lastTimestamp ?? -Infinity;
+  for (const event of events) {
+    if (!Number.isFinite(event.timestamp) || event.timestamp < lastTimestamp || event.timestamp > now) {
+      return { valid: false, forfeit: true, code: "INVALID_TIMESTAMPS", reason: `bad timestamp at index ${event.seq}` };
+    }
+    lastTimestamp = event.timestamp;
+  }
+
+  const frames = normalizeInputs(inputs);
+  if (!frames || (frames.length > 0 && frames[0] <= (previous.lastFrame ?? -1))) {
+    return {
+      valid: false,
+      code: "INVALID_CHECKPOINT",
+      message: "inputs must be jumps with frames after the ones already uploaded",
+    };
+  }
+
+  const firstTimestamp = previous.firstTimestamp ?? events[0].timestamp;
+  const count = previous.nextSeq + events.length;
+  const jumps = previous.jumps + events.filter(e => e.type === "jump").length;
+  const eventRate = perSecond(count, firstTimestamp, lastTimestamp);
+  const jumpRate = perSecond(jumps, firstTimestamp, lastTimestamp);
+  if (eventRate > limits.maxEventsPerSecond || jumpRate > limits.maxJumpsPerSecond) {
+    return {
+      valid: false,
+      forfeit: true,
+      code: "EVENT_RATE_SUSPICIOUS",
+      reason: `${eventRate.toFixed(1)} events/s, ${jumpRate.toFixed(1)} jumps/s`,
+    };
+  }
+
+  return {
+    valid: true,
+    state: {
+      head: chain.head,
+      nextSeq: count,
+      batches: previous.batches + 1,
+      jumps,
+      firstTimestamp,
+      lastTimestamp,
+      lastFrame: frames.length > 0 ? frames[frames.length - 1] : previous.lastFrame,
+      lastBatch: { seq: last.seq, hash: last.hash },
+    },
+    batch: { events, inputs },
+  };
+}
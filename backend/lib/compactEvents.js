@@ -0,0 +1,239 @@
+import express from "express";
+import { sendError } from "../errors/index.js";
+
+// Compact encoding of a /api/scoreupdate body, sent with
+// Content-Type: application/vnd.maveli.run instead of JSON.
+//
+//   "MVRN"      4 bytes  magic
+//   version     1 byte   1
+//   headerLen   uint32   big-endian
+//   header      UTF-8 JSON: the JSON body without gameSession.events
+//   firstSeq    varint   seq of the first event (nextSeq after checkpoints)
+//   count       varint   number of events
+//   per event:
+//     type      1 byte   EVENT_TYPES index, or 0xff followed by a varint
+//                        length and the UTF-8 type name
+//     timestamp varint   first event: Unix ms; then zigzag varint delta
+//                        from the previous event
+//     hash      32 bytes
+//     extraLen  varint   length of a UTF-8 JSON object with the event's
+//                        other fields; 0 when there are none
+//
+// Varints are unsigned LEB128. Decoding yields exactly the events the client
+// hashed, so validation is the same for both encodings.
+
+export const COMPACT_RUN_TYPE = "application/vnd.maveli.run";
+
+export const EVENT_TYPES = ["game_start", "jump", "obstacle_spawn", "collision", "game_over", "integrity_violation"];
+
+const MAGIC = "MVRN";
+const VERSION = 1;
+const NAMED_TYPE = 0xff;
+const HASH_BYTES = 32;
+const MAX_VARINT_BYTES = 8;
+const CORE_FIELDS = ["seq", "type", "timestamp", "hash"];
+
+class DecodeError extends Error {
+  constructor(message, offset) {
+    super(message);
+    this.offset = offset;
+  }
+}
+
+function createReader(buffer) {
+  let offset = 0;
+
+  function need(length, what) {
+    if (offset + length > buffer.length) {
+      throw new DecodeError(`Truncated ${what}`, offset);
+    }
+  }
+
+  return {
+    get offset() {
+      return offset;
+    },
+
+    bytes(length, what) {
+      need(length, what);
+      const slice = buffer.subarray(offset, offset + length);
+      offset += length;
+      return slice;
+    },
+
+    uint8(what) {
+      need(1, what);
+      return buffer[offset++];
+    },
+
+    uint32(what) {
+      need(4, what);
+      const value = buffer.readUInt32BE(offset);
+      offset += 4;
+      return value;
+    },
+
+    // Multiplication instead of shifts: timestamps don't fit in 32 bits.
+    varint(what) {
+      let value = 0;
+      for (let i = 0; i < MAX_VARINT_BYTES; i++) {
+        const byte = this.uint8(what);
+        value += (byte & 0x7f) * 2 ** (7 * i);
+        if (!(byte & 0x80)) return value;
+      }
+      throw new DecodeError(`Varint too long in ${what}`, offset);
+    },
+
+    json(length, what) {
+      const start = offset;
+      try {
+        return JSON.parse(this.bytes(length, what).toString("utf8"));
+      } catch (error) {
+        if (error instanceof DecodeError) throw error;
+        throw new DecodeError(`${what} is not valid JSON`, start);
+      }
+    },
+  };
+}
+
+function unzigzag(value) {
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+function zigzag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+function decodeEvent(reader, seq, previous) {
+  const what = `event ${seq}`;
+
+  const code = reader.uint8(`${what} type`);
+  let type = EVENT_TYPES[code];
+  if (code === NAMED_TYPE) {
+    type = reader.bytes(reader.varint(`${what} type`), `${what} type`).toString("utf8");
+  } else if (!type) {
+    throw new DecodeError(`Unknown type code ${code} in ${what}`, reader.offset - 1);
+  }
+
+  const raw = reader.varint(`${what} timestamp`);
+  const timestamp = previous ? previous.timestamp + unzigzag(raw) : raw;
+  const hash = reader.bytes(HASH_BYTES, `${what} hash`).toString("hex");
+
+  const extraLength = reader.varint(`${what} fields`);
+  let extra = {};
+  if (extraLength > 0) {
+    const start = reader.offset;
+    extra = reader.json(extraLength, `${what} fields`);
+    if (!extra || typeof extra !== "object" || Array.isArray(extra) || CORE_FIELDS.some(f => f in extra)) {
+      throw new DecodeError(`${what} fields must be an object without ${CORE_FIELDS.join(", ")}`, start);
+    }
+  }
+
+  return { ...extra, seq, type, timestamp, hash };
+}
+
+// Returns the body as JSON submissions have it, or an error with the byte
+// offset where decoding failed.
+export function decodeCompactRun(buffer) {
+  try {
+    const reader = createReader(buffer);
+
+    if (reader.bytes(MAGIC.length, "magic").toString("latin1") !== MAGIC) {
+      throw new DecodeError("Not a compact run (bad magic)", 0);
+    }
+    const version = reader.uint8("version");
+    if (version !== VERSION) {
+      throw new DecodeError(`Unsupported compact run version ${version}`, reader.offset - 1);
+    }
+
+    const headerStart = reader.offset;
+    const body = reader.json(reader.uint32("header length"), "header");
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new DecodeError("header must be a JSON object", headerStart);
+    }
+
+    const firstSeq = reader.varint("first seq");
+    const count = reader.varint("event count");
+    const events = [];
+    for (let i = 0; i < count; i++) {
+      events.push(decodeEvent(reader, firstSeq + i, events[i - 1]));
+    }
+
+    if (reader.offset !== buffer.length) {
+      throw new DecodeError(`${buffer.length - reader.offset} unexpected bytes after the last event`, reader.offset);
+    }
+
+    const gameSession = body.gameSession && typeof body.gameSession === "object" ? body.gameSession : {};
+    return { data: { ...body, gameSession: { ...gameSession, events } }, error: null };
+  } catch (error) {
+    if (!(error instanceof DecodeError)) throw error;
+    return { data: null, error: { message: error.message, offset: error.offset } };
+  }
+}
+
+function varint(value) {
+  const bytes = [];
+  do {
+    let byte = value % 128;
+    value = Math.floor(value / 128);
+    if (value > 0) byte |= 0x80;
+    bytes.push(byte);
+  } while (value > 0);
+  return Buffer.from(bytes);
+}
+
+// Reference encoder for client authors; timestamps must be integers.
+export function encodeCompactRun(body) {
+  const { events = [], ...gameSession } = body.gameSession || {};
+  const header = Buffer.from(JSON.stringify({ ...body, gameSession }), "utf8");
+  const headerLength = Buffer.alloc(4);
+  headerLength.writeUInt32BE(header.length);
+
+  const parts = [
+    Buffer.from(MAGIC, "latin1"),
+    Buffer.from([VERSION]),
+    headerLength,
+    header,
+    varint(events[0]?.seq ?? 0),
+    varint(events.length),
+  ];
+
+  events.forEach((event, i) => {
+    const { seq, type, timestamp, hash, ...extra } = event;
+    const code = EVENT_TYPES.indexOf(type);
+    if (code >= 0) {
+      parts.push(Buffer.from([code]));
+    } else {
+      const name = Buffer.from(type, "utf8");
+      parts.push(Buffer.from([NAMED_TYPE]), varint(name.length), name);
+    }
+
+    parts.push(varint(i === 0 ? timestamp : zigzag(timestamp - events[i - 1].timestamp)));
+    parts.push(Buffer.from(hash, "hex"));
+
+    const fields = Object.keys(extra).length > 0 ? Buffer.from(JSON.stringify(extra), "utf8") : Buffer.alloc(0);
+    parts.push(varint(fields.length), fields);
+  });
+
+  return Buffer.concat(parts);
+}
+
+// Route middleware: compact bodies are decoded into req.body, so schema
+// validation and the handler see the same structure as for JSON.
+export function acceptCompactRuns() {
+  return [
+    express.raw({ type: COMPACT_RUN_TYPE, limit: "10mb" }),
+    (req, res, next) => {
+      if (!req.is(COMPACT_RUN_TYPE)) return next();
+
+      const { data, error } = decodeCompactRun(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0));
+      if (error) {
+        req.log.info("Malformed compact run", { error: error.message, offset: error.offset });
+        return sendError(res, "INVALID_EVENT_ENCODING", { message: error.message, details: { offset: error.offset } });
+      }
+
+      req.body = data;
+      next();
+    },
+  ];
+}
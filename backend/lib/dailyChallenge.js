@@ -0,0 +1,146 @@
+import crypto from "crypto";
+import storage from "../storage/index.js";
+import kv from "../kv/index.js";
+import { REPLAY_PHYSICS, createRng } from "./replay.js";
+import { getBoardEntry, getBoardPage } from "./leaderboard.js";
+
+// One seed and modifier set per UTC day, shared by every player. The seed
+// is derived from DAILY_CHALLENGE_SECRET so upcoming days can't be
+// precomputed. Daily runs never touch the global best score; they are
+// ranked on their own board, which is archived once the day (plus a grace
+// period for runs still in flight) is over.
+
+export const DAILY_ATTEMPTS = 3;
+export const DAILY_GRACE_PERIOD = 15 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Without a secret of its own a deployment would share predictable seeds,
+// so daily mode stays off until DAILY_CHALLENGE_SECRET is set. Existing
+// boards can still be read.
+export function isDailyChallengeEnabled() {
+  return Boolean(process.env.DAILY_CHALLENGE_SECRET);
+}
+
+export function challengeDate(now = new Date()) {
+  return now.toISOString().slice(0, 10);
+}
+
+export function isChallengeDate(value) {
+  if (typeof value !== "string" || !DATE_PATTERN.test(value)) return false;
+  const parsed = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && challengeDate(parsed) === value;
+}
+
+export function challengeEndsAt(date) {
+  return Date.parse(`${date}T00:00:00Z`) + DAY_MS;
+}
+
+// Runs for `date` can't be submitted any more, so its board is final.
+export function isChallengeClosed(date, now = Date.now()) {
+  return now >= challengeEndsAt(date) + DAILY_GRACE_PERIOD;
+}
+
+// Multiplier steps of 0.05 between 1.00 and 1.40.
+function pickMultiplier(rng) {
+  return Number((1 + 0.05 * Math.floor(rng() * 9)).toFixed(2));
+}
+
+export function getDailyChallenge(date = challengeDate()) {
+  if (!isDailyChallengeEnabled()) {
+    throw new Error("DAILY_CHALLENGE_SECRET is not set");
+  }
+  const digest = crypto.createHmac("sha256", process.env.DAILY_CHALLENGE_SECRET).update(date).digest();
+  const seed = digest.readUInt32BE(0);
+  const rng = createRng(digest.readUInt32BE(4));
+
+  const modifiers = {
+    speedMultiplier: pickMultiplier(rng),
+    obstacleDensity: pickMultiplier(rng),
+  };
+
+  return {
+    date,
+    seed,
+    modifiers,
+    physics: challengePhysics(modifiers),
+    attemptsAllowed: DAILY_ATTEMPTS,
+    endsAt: new Date(challengeEndsAt(date)).toISOString(),
+  };
+}
+
+export function challengePhysics({ speedMultiplier, obstacleDensity }) {
+  return {
+    ...REPLAY_PHYSICS,
+    INITIAL_SPEED: REPLAY_PHYSICS.INITIAL_SPEED * speedMultiplier,
+    MAX_SPEED: REPLAY_PHYSICS.MAX_SPEED * speedMultiplier,
+    SPAWN_MIN_GAP_FRAMES: Math.round(REPLAY_PHYSICS.SPAWN_MIN_GAP_FRAMES / obstacleDensity),
+    SPAWN_MAX_GAP_FRAMES: Math.round(REPLAY_PHYSICS.SPAWN_MAX_GAP_FRAMES / obstacleDensity),
+  };
+}
+
+// Best counted run per player for the day, ranked like the main board by
+// storage (see storage.leaderboard). Guests (hidden profiles) are left out.
+function challengeBoard(date) {
+  return { challengeDate: date };
+}
+
+export async function getChallengePage(date, options) {
+  return await getBoardPage(challengeBoard(date), options);
+}
+
+export async function getChallengeEntry(date, userId) {
+  return await getBoardEntry(challengeBoard(date), userId);
+}
+
+const ARCHIVE_PAGE_SIZE = 500;
+
+// Freezes the final standings of a closed day. Safe to call repeatedly and
+// from several instances: existing rows are kept.
+export async function archiveChallenge(date) {
+  const archivedAt = new Date().toISOString();
+
+  for (let after = null; ;) {
+    const { data: page, error } = await getChallengePage(date, { limit: ARCHIVE_PAGE_SIZE, after });
+    if (error) return { data: null, error };
+    if (page.entries.length === 0) return { data: null, error: null };
+
+    const { error: createError } = await storage.dailyResults.create(page.entries.map(entry => ({
+      challenge_date: date,
+      user_id: entry.userId,
+      user_name: entry.player,
+      rank: entry.rank,
+      score: entry.score,
+      achieved_at: entry.achievedAt,
+      archived_at: archivedAt,
+    })));
+    if (createError) return { data: null, error: createError };
+
+    after = page.entries[page.entries.length - 1];
+  }
+}
+
+// Attempts are counted when a daily session is created, so abandoning a
+// bad start still uses one up.
+function attemptsKey(userId, date) {
+  return `daily:attempts:${date}:${userId}`;
+}
+
+export async function useAttempt(userId, date) {
+  const ttl = challengeEndsAt(date) + DAILY_GRACE_PERIOD - Date.now();
+  const { count } = await kv.incr(attemptsKey(userId, date), Math.max(1, ttl));
+  return { attemptsUsed: count, allowed: count <= DAILY_ATTEMPTS };
+}
+
+// Counters expire once a day's submissions close, so only today's and,
+// during the grace period, yesterday's can still exist.
+export async function clearAttempts(userId, now = new Date()) {
+  const yesterday = new Date(now.getTime() - DAY_MS);
+  await kv.del(attemptsKey(userId, challengeDate(now)));
+  await kv.del(attemptsKey(userId, challengeDate(yesterday)));
+}
+
+export async function refundAttempt(userId, date) {
+  await kv.decr(attemptsKey(userId, date));
+}
@@ -0,0 +1,75 @@
+import crypto from "crypto";
+
+// Each event carries `seq` and `hash`, where
+//   hash = HMAC-SHA256(secret, prevHash + canonical(event without hash))
+// and the first event chains off the session key. Editing, dropping,
+// reordering or truncating events breaks the chain.
+
+export function generateSessionSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`).join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+export function hashEvent(secret, prevHash, event) {
+  const { hash, ...payload } = event;
+  return crypto
+    .createHmac("sha256", secret)
+    .update(prevHash + canonicalize(payload))
+    .digest("hex");
+}
+
+function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string" || a.length !== b.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+// Checks a slice of the log that starts at `firstSeq` and chains off
+// `prevHash`; `head` is the hash the next event must chain off.
+export function verifyEventSequence(events, secret, prevHash, firstSeq = 0) {
+  if (!secret) {
+    return { valid: false, reason: "missing session secret" };
+  }
+
+  for (let i = 0; i < events.length; i++) {
+    const event = events[i];
+    if (!event || event.seq !== firstSeq + i) {
+      return { valid: false, reason: `sequence break at index ${firstSeq + i}` };
+    }
+    if (!safeEqual(event.hash, hashEvent(secret, prevHash, event))) {
+      return { valid: false, reason: `hash mismatch at index ${firstSeq + i}` };
+    }
+    prevHash = event.hash;
+  }
+
+  return { valid: true, head: prevHash };
+}
+
+export function verifyEventChain(events, secret, sessionKey, chainHead) {
+  const sequence = verifyEventSequence(events, secret, sessionKey);
+  if (!sequence.valid) {
+    return sequence;
+  }
+
+  const last = events[events.length - 1];
+  if (!last || (last.type !== "collision" && last.type !== "game_over")) {
+    return { valid: false, reason: "log does not end with a terminal event" };
+  }
+
+  if (!safeEqual(chainHead, sequence.head)) {
+    return { valid: false, reason: "chain head mismatch" };
+  }
+
+  return { valid: true };
+}
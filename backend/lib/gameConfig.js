@@ -0,0 +1,122 @@
+import crypto from "crypto";
+import { getRuleSet } from "../anticheat/engine.js";
+import { defaultModeId, listModes } from "../modes/index.js";
+import { DAILY_ATTEMPTS, DAILY_GRACE_PERIOD, isDailyChallengeEnabled } from "./dailyChallenge.js";
+import { sendError } from "../errors/index.js";
+
+// Session limits shared by the game routes. Validation thresholds live in
+// anticheat/ruleset.json, with per-mode overrides in modes/profiles.json.
+export const GAME_CONSTANTS = {
+  MAX_GAME_DURATION: 21600000, // 6 hours, the longest run the rules accept
+  COOLDOWN_PERIOD: 3000,
+  SESSION_TIMEOUT: 86400000, // 24 hours in ms (reduced from extremely large value)
+  CHECKPOINT_MAX_EVENTS: 1000, // per checkpoint upload
+};
+
+// Builds older than MIN_CLIENT_VERSION (e.g. "1.4.0") are refused with
+// CLIENT_UPDATE_REQUIRED. Unset, every build is accepted.
+function parseVersion(version) {
+  const match = /^v?(\d+)\.(\d+)(?:\.(\d+))?(?:[-+].*)?$/.exec(String(version).trim());
+  return match ? [Number(match[1]), Number(match[2]), Number(match[3] || 0)] : null;
+}
+
+export function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+export function minClientVersion() {
+  const min = process.env.MIN_CLIENT_VERSION;
+  return min && parseVersion(min) ? min : null;
+}
+
+// Builds that send no version, or an unparseable one, can't be checked and
+// are refused once a minimum is configured.
+export function isSupportedClient(version) {
+  const min = minClientVersion();
+  if (!min) return true;
+  if (typeof version !== "string" || !parseVersion(version)) return false;
+  return compareVersions(version, min) >= 0;
+}
+
+// Body field wins over the X-Client-Version header.
+export function clientVersionOf(req) {
+  const version = req.body?.clientVersion ?? req.get("X-Client-Version");
+  return typeof version === "string" ? version.slice(0, 32) : null;
+}
+
+// Sends CLIENT_UPDATE_REQUIRED and returns true when the build is too old.
+export function rejectUnsupportedClient(req, res) {
+  const version = clientVersionOf(req);
+  if (isSupportedClient(version)) return false;
+
+  req.log.info("Unsupported client build", { clientVersion: version, minClientVersion: minClientVersion() });
+  sendError(res, "CLIENT_UPDATE_REQUIRED", {
+    details: { minClientVersion: minClientVersion(), clientVersion: version }
+  });
+  return true;
+}
+
+function ruleOptions(name, overrides) {
+  const entry = getRuleSet().rules.find(r => r.rule.name === name);
+  return entry ? { ...entry.options, ...overrides[name] } : null;
+}
+
+// What a client needs to play and pass validation in each mode.
+function describeMode(mode) {
+  const scoreRate = ruleOptions("score-rate", mode.rules);
+  const scoreLimits = ruleOptions("score-limits", mode.rules);
+  const durationLimits = ruleOptions("duration-limits", mode.rules);
+
+  return {
+    id: mode.id,
+    name: mode.name,
+    description: mode.description,
+    dailyChallenge: mode.dailyChallenge,
+    physics: mode.physics,
+    pointsPerSecond: mode.physics.FPS / mode.physics.FRAMES_PER_POINT,
+    limits: {
+      minPointsPerSecond: scoreRate?.minPerSecond ?? null,
+      maxPointsPerSecond: scoreRate?.maxPerSecond ?? null,
+      maxScore: scoreLimits?.maxScore ?? null,
+      minDuration: durationLimits?.minDuration ?? null,
+      maxDuration: durationLimits?.maxDuration ?? null,
+    },
+  };
+}
+
+// The version is a digest of the parameters themselves, so it changes
+// whenever a deploy changes anything a client depends on.
+export function getClientConfig() {
+  const config = {
+    minClientVersion: minClientVersion(),
+    defaultMode: defaultModeId(),
+    modes: listModes().map(describeMode),
+    session: {
+      timeout: GAME_CONSTANTS.SESSION_TIMEOUT,
+      maxDuration: GAME_CONSTANTS.MAX_GAME_DURATION,
+      cooldown: GAME_CONSTANTS.COOLDOWN_PERIOD,
+      checkpointMaxEvents: GAME_CONSTANTS.CHECKPOINT_MAX_EVENTS,
+    },
+    dailyChallenge: {
+      enabled: isDailyChallengeEnabled(),
+      attemptsAllowed: DAILY_ATTEMPTS,
+      gracePeriod: DAILY_GRACE_PERIOD,
+    },
+  };
+
+  const configVersion = crypto.createHash("sha256")
+    .update(JSON.stringify(config))
+    .digest("hex")
+    .slice(0, 12);
+
+  return { configVersion, ...config };
+}
+
+export function configVersion() {
+  return getClientConfig().configVersion;
+}
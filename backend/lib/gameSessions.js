@@ -0,0 +1,47 @@
+import crypto from "crypto";
+import kv from "../kv/index.js";
+import { GAME_CONSTANTS } from "./gameConfig.js";
+
+// Active sessions and consumed session keys live in the shared key-value
+// store so replay protection holds across instances. Both expire with the
+// session itself; after that the stored game_sessions row is gone too.
+const ACTIVE_SESSION_PREFIX = "session:active:";
+const CONSUMED_SESSION_PREFIX = "session:consumed:";
+
+export function generateSessionKey(userId) {
+  const timestamp = Date.now();
+  const randomPart = crypto.randomBytes(16).toString("hex");
+  return `${userId}-${timestamp}-${randomPart}`;
+}
+
+export async function getActiveSession(userId) {
+  const raw = await kv.get(ACTIVE_SESSION_PREFIX + userId);
+  return raw ? JSON.parse(raw) : null;
+}
+
+export async function setActiveSession(userId, session) {
+  const ttl = Math.max(1, session.expiresAt - Date.now());
+  await kv.set(ACTIVE_SESSION_PREFIX + userId, JSON.stringify(session), ttl);
+}
+
+export async function clearActiveSession(userId) {
+  await kv.del(ACTIVE_SESSION_PREFIX + userId);
+}
+
+export async function isSessionConsumed(sessionKey) {
+  return (await kv.get(CONSUMED_SESSION_PREFIX + sessionKey)) !== null;
+}
+
+// Atomic: only one submission can ever consume a given session key.
+export async function consumeSession(sessionKey) {
+  return await kv.setIfAbsent(CONSUMED_SESSION_PREFIX + sessionKey, "1", GAME_CONSTANTS.SESSION_TIMEOUT);
+}
+
+// Counts are null when the key-value store cannot count cheaply (Redis).
+export async function getSessionStats() {
+  return {
+    kvDriver: kv.driver,
+    activeSessions: await kv.count(ACTIVE_SESSION_PREFIX),
+    completedSessions: await kv.count(CONSUMED_SESSION_PREFIX)
+  };
+}
@@ -0,0 +1,127 @@
+import storage from "../storage/index.js";
+import { defaultModeId } from "../modes/index.js";
+
+export const LEADERBOARD_WINDOWS = ["daily", "weekly", "monthly", "all"];
+
+export function windowStart(window, now = new Date()) {
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  switch (window) {
+    case "daily":
+      return start;
+    case "weekly":
+      // ISO weeks start on Monday
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+      return start;
+    case "monthly":
+      start.setUTCDate(1);
+      return start;
+    default:
+      return null;
+  }
+}
+
+// Runs held for, refused in or removed by moderation never reach a public board.
+const UNRANKED_STATUSES = ["pending", "rejected", "removed"];
+
+export function isRankedRun(run) {
+  return !UNRANKED_STATUSES.includes(run.status);
+}
+
+// Boards are ranked by storage (storage.leaderboard); only the requested
+// rows come back, and ranks are counted rather than found in a full list.
+// A board is `{ since, mode }` for the main windows or `{ challengeDate }`
+// for a daily challenge.
+function boardFor(window) {
+  const since = windowStart(window);
+  return { since: since ? since.toISOString() : null, mode: defaultModeId() };
+}
+
+function toRow(entry) {
+  return { user_id: entry.userId, score: entry.score, last_updated: entry.achievedAt };
+}
+
+function toEntry(row, rank) {
+  return {
+    userId: row.user_id,
+    player: row.user_name || "Player",
+    score: row.score,
+    achievedAt: row.last_updated,
+    rank,
+  };
+}
+
+// One page of the board, either `offset` entries in or right after the
+// `after` entry (a decoded cursor). `offset` in the result is where the page
+// starts, `total` the size of the whole board.
+export async function getBoardPage(board, { limit, offset = 0, after = null }) {
+  let start = offset;
+  if (after) {
+    const { data: through, error } = await storage.leaderboard.countThrough(board, toRow(after));
+    if (error) return { data: null, error };
+    start = through;
+  }
+
+  const { data: rows, count, error } = await storage.leaderboard.page(board, {
+    after: after && toRow(after),
+    offset: after ? 0 : offset,
+    limit,
+  });
+  if (error) return { data: null, error };
+
+  return {
+    data: {
+      entries: rows.map((row, i) => toEntry(row, start + i + 1)),
+      offset: start,
+      total: after ? start + count : count,
+    },
+    error: null,
+  };
+}
+
+// The player's entry with its rank, or null when they aren't on the board.
+export async function getBoardEntry(board, userId) {
+  const { data: row, error } = await storage.leaderboard.find(board, userId);
+  if (error || !row) return { data: null, error };
+
+  const { data: rank, error: rankError } = await storage.leaderboard.countThrough(board, row);
+  if (rankError) return { data: null, error: rankError };
+
+  return { data: toEntry(row, rank), error: null };
+}
+
+export async function getLeaderboardPage(window, options) {
+  return await getBoardPage(boardFor(window), options);
+}
+
+export async function getLeaderboardEntry(window, userId) {
+  return await getBoardEntry(boardFor(window), userId);
+}
+
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+
+export function encodeCursor(entry) {
+  return Buffer.from(JSON.stringify([entry.score, entry.achievedAt, entry.userId])).toString("base64url");
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const [score, achievedAt, userId] = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    // The values end up in a query filter, so only plain ones are accepted.
+    if (!Number.isFinite(score) || typeof achievedAt !== "string" || typeof userId !== "string" ||
+        !ISO_TIMESTAMP.test(achievedAt) || !/^[\w-]+$/.test(userId)) {
+      return null;
+    }
+    return { score, achievedAt, userId };
+  } catch {
+    return null;
+  }
+}
+
+export function toPublicEntry(entry) {
+  return {
+    rank: entry.rank,
+    player: entry.player,
+    score: entry.score,
+    lastUpdated: entry.achievedAt,
+  };
+}
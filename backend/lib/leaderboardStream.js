@@ -0,0 +1,139 @@
+import { getLeaderboardPage, toPublicEntry } from "./leaderboard.js";
+import logger from "./logger.js";
+import { sendError } from "../errors/index.js";
+
+// Clients only receive updates published by the instance they are
+// connected to; on multi-instance deployments they fall back to the
+// snapshot they get when reconnecting.
+
+export const STREAM_CONSTANTS = {
+  TOP_N: 10,
+  HEARTBEAT_INTERVAL: 20 * 1000,
+  MAX_STREAMS_PER_IP: 3,
+};
+
+const clients = new Set();
+const streamsPerIp = new Map();
+let lastTop = null;
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function loadTop() {
+  const { data, error } = await getLeaderboardPage("all", { limit: STREAM_CONSTANTS.TOP_N });
+  if (error) throw new Error(error.message || "Failed to fetch leaderboard");
+  return data.entries;
+}
+
+export function diffTop(previous, current) {
+  const previousRanks = new Map(previous.map(e => [e.userId, e]));
+  const currentIds = new Set(current.map(e => e.userId));
+  const changes = [];
+
+  for (const entry of current) {
+    const before = previousRanks.get(entry.userId);
+    if (!before || before.rank !== entry.rank || before.score !== entry.score) {
+      changes.push({
+        type: before ? "moved" : "entered",
+        player: entry.player,
+        score: entry.score,
+        previousRank: before ? before.rank : null,
+        rank: entry.rank,
+      });
+    }
+  }
+
+  for (const entry of previous) {
+    if (!currentIds.has(entry.userId)) {
+      changes.push({
+        type: "dropped",
+        player: entry.player,
+        score: entry.score,
+        previousRank: entry.rank,
+        rank: null,
+      });
+    }
+  }
+
+  return changes;
+}
+
+// The slot is taken before the first await and released exactly once,
+// whichever way the stream ends: a disconnect while the snapshot loads, a
+// failed load or the client closing the stream later.
+export async function openLeaderboardStream(req, res) {
+  const ip = req.ip;
+  const open = streamsPerIp.get(ip) || 0;
+  if (open >= STREAM_CONSTANTS.MAX_STREAMS_PER_IP) {
+    return sendError(res, "TOO_MANY_STREAMS");
+  }
+  streamsPerIp.set(ip, open + 1);
+
+  let heartbeat = null;
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    clearInterval(heartbeat);
+    clients.delete(res);
+    const remaining = (streamsPerIp.get(ip) || 1) - 1;
+    if (remaining > 0) {
+      streamsPerIp.set(ip, remaining);
+    } else {
+      streamsPerIp.delete(ip);
+    }
+  };
+  res.on("close", release);
+
+  let top;
+  try {
+    top = await loadTop();
+  } catch (error) {
+    release();
+    throw error;
+  }
+  if (released || res.destroyed) {
+    release();
+    return;
+  }
+  lastTop = lastTop || top;
+  clients.add(res);
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  send(res, "snapshot", { leaderboard: top.map(toPublicEntry) });
+
+  heartbeat = setInterval(() => {
+    res.write(`: heartbeat ${Date.now()}\n\n`);
+  }, STREAM_CONSTANTS.HEARTBEAT_INTERVAL);
+}
+
+export async function publishLeaderboardUpdate() {
+  if (clients.size === 0) {
+    lastTop = null;
+    return;
+  }
+
+  try {
+    const top = await loadTop();
+    const changes = diffTop(lastTop || [], top);
+    lastTop = top;
+
+    if (changes.length === 0) return;
+
+    for (const res of clients) {
+      send(res, "update", { changes });
+    }
+  } catch (error) {
+    logger.error("Leaderboard stream update error", { err: error });
+  }
+}
+
+export function getStreamCount() {
+  return clients.size;
+}
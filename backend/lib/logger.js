@@ -0,0 +1,107 @@
+import crypto from "crypto";
+
+// Minimal JSON-lines logger. One object per line:
+//   {"level":"info","time":"...","msg":"...", ...bindings, ...fields}
+// Set LOG_LEVEL=debug to see per-rule validation tracing.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const REDACTED = "[REDACTED]";
+const REDACT_KEYS = /^(authorization|token|access_token|refresh_token|password|pass|secret|email|hash|chainhead|cookie)$/i;
+const PAYLOAD_KEYS = /^(events|inputs|violations)$/i;
+
+function threshold() {
+  return LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+}
+
+export function redact(value, depth = 0) {
+  if (value instanceof Error) {
+    return { message: value.message, code: value.code, stack: value.stack };
+  }
+  if (Array.isArray(value)) {
+    return depth > 4 ? `[${value.length} items]` : value.map(v => redact(v, depth + 1));
+  }
+  if (value && typeof value === "object") {
+    if (depth > 4) return "[Object]";
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (REDACT_KEYS.test(key)) {
+        out[key] = REDACTED;
+      } else if (PAYLOAD_KEYS.test(key) && Array.isArray(v)) {
+        out[key] = `[${v.length} items]`;
+      } else {
+        out[key] = redact(v, depth + 1);
+      }
+    }
+    return out;
+  }
+  return value;
+}
+
+function createLogger(bindings = {}) {
+  function write(level, msg, fields) {
+    if (LEVELS[level] < threshold()) return;
+
+    const extra = fields instanceof Error ? { err: fields } : fields;
+    const line = JSON.stringify({
+      level,
+      time: new Date().toISOString(),
+      msg,
+      ...bindings,
+      ...redact(extra || {}),
+    });
+
+    if (LEVELS[level] >= LEVELS.warn) {
+      process.stderr.write(line + "\n");
+    } else {
+      process.stdout.write(line + "\n");
+    }
+  }
+
+  return {
+    debug: (msg, fields) => write("debug", msg, fields),
+    info: (msg, fields) => write("info", msg, fields),
+    warn: (msg, fields) => write("warn", msg, fields),
+    error: (msg, fields) => write("error", msg, fields),
+    isDebugEnabled: () => threshold() <= LEVELS.debug,
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }),
+  };
+}
+
+const logger = createLogger();
+
+export default logger;
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+// Assigns each request a correlation id (reusing a sane incoming
+// X-Request-Id), echoes it back and logs one access line per response.
+export function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+
+  req.id = requestId;
+  req.log = logger.child({ requestId });
+  res.setHeader("X-Request-Id", requestId);
+
+  res.on("finish", () => {
+    req.log.info("request completed", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      ip: req.ip,
+    });
+  });
+
+  next();
+}
+
+// Router-level child logger, e.g. app.use("/api/auth", routerLogger("auth"), authrouter)
+export function routerLogger(name) {
+  return (req, res, next) => {
+    req.log = (req.log || logger).child({ router: name });
+    next();
+  };
+}
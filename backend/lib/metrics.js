@@ -0,0 +1,199 @@
+// Minimal Prometheus text-format registry (exposition format 0.0.4).
+
+const registry = [];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+function labelKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => labels[name] ?? ""));
+}
+
+function labelsFromKey(labelNames, key) {
+  const values = JSON.parse(key);
+  return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+export function counter(name, help, labelNames = []) {
+  const values = new Map();
+
+  const metric = {
+    inc(labels = {}, amount = 1) {
+      const key = labelKey(labelNames, labels);
+      values.set(key, (values.get(key) || 0) + amount);
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [key, value] of values) {
+        lines.push(`${name}${formatLabels(labelsFromKey(labelNames, key))} ${value}`);
+      }
+      return lines.join("\n");
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+export function histogram(name, help, buckets, labelNames = []) {
+  const series = new Map();
+
+  const metric = {
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return;
+
+      const key = labelKey(labelNames, labels);
+      let entry = series.get(key);
+      if (!entry) {
+        entry = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+        series.set(key, entry);
+      }
+
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const labels = labelsFromKey(labelNames, key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${entry.count}`);
+      }
+      return lines.join("\n");
+    },
+  };
+
+  registry.push(metric);
+  return metric;
+}
+
+export function renderMetrics() {
+  return registry.map(m => m.render()).join("\n\n") + "\n";
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+export const metrics = {
+  sessionsCreated: counter(
+    "maveli_sessions_created_total",
+    "Game sessions created"
+  ),
+  submissions: counter(
+    "maveli_submissions_total",
+    "Score submissions by outcome (accepted, pending, rejected)",
+    ["outcome"]
+  ),
+  ruleRejections: counter(
+    "maveli_submission_rejections_total",
+    "Rejected score submissions by the rule or check that rejected them",
+    ["rule"]
+  ),
+  checkpoints: counter(
+    "maveli_checkpoints_total",
+    "Event log checkpoints by outcome (accepted, rejected)",
+    ["outcome"]
+  ),
+  rateLimitHits: counter(
+    "maveli_rate_limit_hits_total",
+    "Requests refused by a rate limiter",
+    ["limiter"]
+  ),
+  authFailures: counter(
+    "maveli_auth_failures_total",
+    "Failed authentication attempts",
+    ["reason"]
+  ),
+  validationFailures: counter(
+    "maveli_request_validation_failures_total",
+    "Requests refused by schema validation",
+    ["route"]
+  ),
+  httpDuration: histogram(
+    "maveli_http_request_duration_seconds",
+    "HTTP request latency",
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+    ["method", "route", "status"]
+  ),
+  storageDuration: histogram(
+    "maveli_storage_operation_duration_seconds",
+    "Storage (Supabase or in-memory) call latency",
+    [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5],
+    ["driver", "operation", "outcome"]
+  ),
+  submittedScore: histogram(
+    "maveli_submitted_score",
+    "Scores submitted to /api/scoreupdate",
+    [100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000]
+  ),
+  submittedDuration: histogram(
+    "maveli_submitted_duration_seconds",
+    "Run durations submitted to /api/scoreupdate",
+    [5, 15, 30, 60, 120, 300, 600, 1200, 3600]
+  ),
+};
+
+// Route templates (not raw paths) keep label cardinality bounded.
+export function metricsMiddleware(req, res, next) {
+  const started = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : "unmatched";
+    metrics.httpDuration.observe(
+      { method: req.method, route, status: res.statusCode },
+      Number(process.hrtime.bigint() - started) / 1e9
+    );
+  });
+
+  next();
+}
+
+// Wraps every repository method of a storage adapter with a latency histogram.
+export function instrumentStorage(storage) {
+  const instrumented = { ...storage };
+
+  for (const [repoName, repo] of Object.entries(storage)) {
+    if (!repo || typeof repo !== "object") continue;
+
+    instrumented[repoName] = Object.fromEntries(
+      Object.entries(repo).map(([method, fn]) => [method, async (...args) => {
+        const started = process.hrtime.bigint();
+        let outcome = "ok";
+        try {
+          const result = await fn(...args);
+          if (result?.error) outcome = "error";
+          return result;
+        } catch (error) {
+          outcome = "error";
+          throw error;
+        } finally {
+          metrics.storageDuration.observe(
+            { driver: storage.driver, operation: `${repoName}.${method}`, outcome },
+            Number(process.hrtime.bigint() - started) / 1e9
+          );
+        }
+      }])
+    );
+  }
+
+  if (storage.withToken) {
+    instrumented.withToken = (token) => instrumentStorage(storage.withToken(token));
+  }
+
+  return instrumented;
+}
@@ -0,0 +1,113 @@
+import fs from "fs";
+import { components, routes } from "../schemas/index.js";
+
+const pkg = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+
+const ERROR_DESCRIPTIONS = {
+  400: "Invalid request; for VALIDATION_FAILED, `details.fields` lists the fields that failed schema validation",
+  401: "Missing or invalid bearer token",
+  403: "Not allowed",
+  404: "Not found",
+  409: "Conflicts with the current state",
+  426: "Client build too old; see minClientVersion",
+  429: "Rate limited",
+};
+
+const componentNames = new Map(Object.entries(components).map(([name, schema]) => [schema, name]));
+
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+// Shared schemas are matched by identity and replaced with a $ref.
+function withRefs(schema, self = null) {
+  if (Array.isArray(schema)) return schema.map(item => withRefs(item));
+  if (!schema || typeof schema !== "object") return schema;
+  if (schema !== self && componentNames.has(schema)) return ref(componentNames.get(schema));
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, withRefs(value)]));
+}
+
+function parameters(schema, location) {
+  if (!schema) return [];
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: location,
+    required: location === "path" || (schema.required || []).includes(name),
+    ...(property.description && { description: property.description }),
+    schema: withRefs(property),
+  }));
+}
+
+function errorResponse(status, schema = ref("ApiError")) {
+  return { description: ERROR_DESCRIPTIONS[status], content: { "application/json": { schema } } };
+}
+
+function operation(spec) {
+  const responses = {};
+  for (const [status, response] of Object.entries(spec.responses)) {
+    responses[status] = {
+      description: response.description,
+      content: { [response.contentType || "application/json"]: { schema: withRefs(response.schema) } },
+    };
+  }
+
+  if (spec.params || spec.query || spec.body) {
+    responses[400] = errorResponse(400, { anyOf: [ref("ValidationError"), ref("ApiError")] });
+  }
+  if (spec.auth === "user" || spec.auth === "admin") {
+    responses[401] = errorResponse(401);
+  }
+  for (const status of spec.errors || []) {
+    responses[status] ??= errorResponse(status);
+  }
+  if (spec.auth === "admin") {
+    responses[403] = { ...errorResponse(403), description: "Admin access required" };
+  }
+
+  return {
+    operationId: spec.operationId,
+    summary: spec.summary,
+    tags: spec.tags,
+    ...(spec.auth && { security: spec.auth === "optional" ? [{ bearerAuth: [] }, {}] : [{ bearerAuth: [] }] }),
+    parameters: [...parameters(spec.params, "path"), ...parameters(spec.query, "query")],
+    ...(spec.body && {
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": { schema: withRefs(spec.body) },
+          ...Object.fromEntries(Object.entries(spec.bodyEncodings || {}).map(([type, schema]) => [type, { schema }])),
+        },
+      },
+    }),
+    responses,
+  };
+}
+
+let document = null;
+
+// Built once from schemas/; the same objects validate requests at runtime.
+export function getOpenApiDocument() {
+  if (document) return document;
+
+  const paths = {};
+  for (const spec of routes) {
+    const path = spec.path.replace(/:(\w+)/g, "{$1}");
+    paths[path] = { ...paths[path], [spec.method]: operation(spec) };
+  }
+
+  document = {
+    openapi: "3.1.0",
+    info: {
+      title: "Maveli Runner API",
+      version: pkg.version,
+    },
+    paths,
+    components: {
+      schemas: Object.fromEntries(Object.entries(components).map(([name, schema]) => [name, withRefs(schema, schema)])),
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer" },
+      },
+    },
+  };
+  return document;
+}
@@ -0,0 +1,11 @@
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+export function parsePagination(query, defaultLimit = DEFAULT_PAGE_SIZE) {
+  const limit = Number.parseInt(query.limit, 10);
+  const offset = Number.parseInt(query.offset, 10);
+  return {
+    limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, MAX_PAGE_SIZE) : defaultLimit,
+    offset: Number.isInteger(offset) && offset > 0 ? offset : 0,
+  };
+}
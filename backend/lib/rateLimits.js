@@ -0,0 +1,93 @@
+import rateLimit from "express-rate-limit";
+import { metrics } from "./metrics.js";
+import kv from "../kv/index.js";
+import { sendError } from "../errors/index.js";
+
+// express-rate-limit store backed by the shared key-value store, so limits
+// hold across instances when REDIS_URL is set.
+function kvStore(name) {
+  const prefix = `ratelimit:${name}:`;
+  let windowMs;
+
+  return {
+    prefix,
+    localKeys: kv.driver === "memory",
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async increment(key) {
+      const { count, resetAt } = await kv.incr(prefix + key, windowMs);
+      return { totalHits: count, resetTime: resetAt ? new Date(resetAt) : undefined };
+    },
+
+    async decrement(key) {
+      await kv.decr(prefix + key);
+    },
+
+    async resetKey(key) {
+      await kv.del(prefix + key);
+    },
+  };
+}
+
+// RATE_LIMITED with the limiter's own message, counted per limiter.
+function countedHandler(name) {
+  return (req, res, next, options) => {
+    metrics.rateLimitHits.inc({ limiter: name });
+    sendError(res, "RATE_LIMITED", { message: options.message });
+  };
+}
+
+export const scoreUpdateLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 3,
+  message: "Too many score submissions. Please wait before trying again.",
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: countedHandler("scoreUpdate"),
+  store: kvStore("scoreUpdate"),
+});
+
+export const generalLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 25,
+  message: "Too many requests",
+  handler: countedHandler("general"),
+  store: kvStore("general"),
+});
+
+// Brute-force protection for the auth router, keyed by IP.
+export const signupLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: "Too many sign-up attempts. Please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: countedHandler("signup"),
+  store: kvStore("signup"),
+});
+
+// Only failed logins count, so players sharing an IP aren't locked out.
+export const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  skipSuccessfulRequests: true,
+  message: "Too many failed login attempts. Please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: countedHandler("login"),
+  store: kvStore("login"),
+});
+
+// Endpoints that send email (password reset, verification resend).
+export const authEmailLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: "Too many email requests. Please try again later.",
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: countedHandler("authEmail"),
+  store: kvStore("authEmail"),
+});
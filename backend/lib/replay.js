@@ -0,0 +1,122 @@
+// Deterministic re-simulation of a run from its seed and input timeline.
+// The client runs the exact same loop, so any divergence in score or
+// collision frame means the submitted run was not actually played.
+
+export const REPLAY_PHYSICS = {
+  FPS: 60,
+  FRAMES_PER_POINT: 3,
+  GRAVITY: 0.6,
+  JUMP_VELOCITY: 12,
+  RUNNER_X: 50,
+  RUNNER_WIDTH: 40,
+  RUNNER_HEIGHT: 60,
+  INITIAL_SPEED: 6,
+  MAX_SPEED: 16,
+  SPEED_INCREMENT: 0.001,
+  SPAWN_X: 800,
+  OBSTACLE_WIDTH: 30,
+  OBSTACLE_MIN_HEIGHT: 30,
+  OBSTACLE_MAX_HEIGHT: 60,
+  SPAWN_MIN_GAP_FRAMES: 60,
+  SPAWN_MAX_GAP_FRAMES: 120,
+};
+
+// mulberry32 - small, fast and trivially portable to the client
+export function createRng(seed) {
+  let a = seed >>> 0;
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function randomInt(rng, min, max) {
+  return min + Math.floor(rng() * (max - min + 1));
+}
+
+export function normalizeInputs(inputs) {
+  if (!Array.isArray(inputs)) return null;
+
+  const frames = [];
+  for (const input of inputs) {
+    if (!input || input.type !== "jump" || !Number.isInteger(input.frame) || input.frame < 0) {
+      return null;
+    }
+    frames.push(input.frame);
+  }
+
+  for (let i = 1; i < frames.length; i++) {
+    if (frames[i] <= frames[i - 1]) return null;
+  }
+
+  return frames;
+}
+
+export function simulateRun(seed, jumpFrames, maxFrames, physics = REPLAY_PHYSICS) {
+  const rng = createRng(seed);
+  const jumps = new Set(jumpFrames);
+
+  let y = 0;
+  let vy = 0;
+  let obstacles = [];
+  let obstaclesSpawned = 0;
+  let jumpsPerformed = 0;
+  let nextSpawnFrame = randomInt(rng, physics.SPAWN_MIN_GAP_FRAMES, physics.SPAWN_MAX_GAP_FRAMES);
+
+  for (let frame = 0; frame < maxFrames; frame++) {
+    if (jumps.has(frame) && y === 0) {
+      vy = physics.JUMP_VELOCITY;
+      jumpsPerformed++;
+    }
+
+    y += vy;
+    vy -= physics.GRAVITY;
+    if (y <= 0) {
+      y = 0;
+      vy = 0;
+    }
+
+    const speed = Math.min(physics.MAX_SPEED, physics.INITIAL_SPEED + frame * physics.SPEED_INCREMENT);
+    for (const obstacle of obstacles) {
+      obstacle.x -= speed;
+    }
+    obstacles = obstacles.filter(o => o.x + o.width > 0);
+
+    if (frame >= nextSpawnFrame) {
+      obstacles.push({
+        x: physics.SPAWN_X,
+        width: physics.OBSTACLE_WIDTH,
+        height: randomInt(rng, physics.OBSTACLE_MIN_HEIGHT, physics.OBSTACLE_MAX_HEIGHT),
+      });
+      obstaclesSpawned++;
+      nextSpawnFrame = frame + randomInt(rng, physics.SPAWN_MIN_GAP_FRAMES, physics.SPAWN_MAX_GAP_FRAMES);
+    }
+
+    const hit = obstacles.some(o =>
+      o.x < physics.RUNNER_X + physics.RUNNER_WIDTH &&
+      o.x + o.width > physics.RUNNER_X &&
+      y < o.height
+    );
+
+    if (hit) {
+      return {
+        collided: true,
+        collisionFrame: frame,
+        score: Math.floor(frame / physics.FRAMES_PER_POINT),
+        obstaclesSpawned,
+        jumpsPerformed,
+      };
+    }
+  }
+
+  return {
+    collided: false,
+    collisionFrame: null,
+    score: Math.floor(maxFrames / physics.FRAMES_PER_POINT),
+    obstaclesSpawned,
+    jumpsPerformed,
+  };
+}
@@ -0,0 +1,62 @@
+// Single username policy for signup, guest upgrade, self-service and admin
+// renames. Uniqueness is case-insensitive and checked by the callers through
+// storage.profiles.findByUsername.
+
+export const USERNAME_MIN_LENGTH = 3;
+export const USERNAME_MAX_LENGTH = 20;
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Compared case-insensitively against the whole name.
+const RESERVED_NAMES = [
+  "admin", "administrator", "moderator", "mod", "staff", "support",
+  "system", "root", "official", "player", "guest", "anonymous",
+  "null", "undefined",
+];
+
+// Generated guest names (see /api/auth/guest) can't be claimed by hand.
+const RESERVED_PATTERNS = [/^guest\d+$/i];
+
+// Matched as substrings after undoing common character swaps.
+const DENIED_WORDS = [
+  "fuck", "shit", "cunt", "bitch", "nigger", "nigga", "faggot",
+  "retard", "nazi", "hitler", "whore", "slut",
+];
+
+const LOOKALIKES = { 0: "o", 1: "i", 3: "e", 4: "a", 5: "s", 7: "t", 8: "b", 9: "g" };
+
+function normalizeUsername(raw) {
+  return raw.normalize("NFKC").trim();
+}
+
+function deniedForm(name) {
+  return name.toLowerCase().replace(/[0-9]/g, d => LOOKALIKES[d] || d).replace(/[_-]/g, "");
+}
+
+// Returns { username } with the normalized name to store, or { error }.
+export function validateUsername(raw) {
+  if (typeof raw !== "string") {
+    return { error: "Username is required" };
+  }
+
+  const username = normalizeUsername(raw);
+
+  if (username.length < USERNAME_MIN_LENGTH || username.length > USERNAME_MAX_LENGTH) {
+    return { error: `Username must be ${USERNAME_MIN_LENGTH} to ${USERNAME_MAX_LENGTH} characters long` };
+  }
+
+  if (!USERNAME_PATTERN.test(username)) {
+    return { error: "Username may only contain letters, numbers, underscores and hyphens" };
+  }
+
+  const lower = username.toLowerCase();
+  if (RESERVED_NAMES.includes(lower) || RESERVED_PATTERNS.some(p => p.test(username))) {
+    return { error: "This username is reserved" };
+  }
+
+  const denied = deniedForm(username);
+  if (DENIED_WORDS.some(word => denied.includes(word))) {
+    return { error: "This username is not allowed" };
+  }
+
+  return { username };
+}
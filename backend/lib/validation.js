@@ -0,0 +1,151 @@
+import { metrics } from "./metrics.js";
+import { sendError } from "../errors/index.js";
+
+// A small JSON Schema subset, enough for request checks and for the schemas
+// to be served unchanged in the OpenAPI document (see lib/openapi.js):
+// type, enum, minLength, maxLength, pattern, format, minimum, maximum,
+// properties, required, additionalProperties, items, minItems, maxItems and
+// anyOf. Annotations (description, example, deprecated) are ignored.
+
+const FORMATS = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  date: /^\d{4}-\d{2}-\d{2}$/,
+};
+
+const patterns = new Map();
+
+function compiled(pattern) {
+  if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern));
+  return patterns.get(pattern);
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+// Query strings and path params always arrive as strings.
+function coerce(value, types) {
+  if (typeof value !== "string") return value;
+  if ((types.includes("integer") || types.includes("number")) && value.trim() !== "" && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes("boolean") && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+}
+
+export function validateValue(schema, value, path = "", { coerceStrings = false } = {}) {
+  const errors = [];
+  const fail = message => errors.push({ field: path || "value", message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (coerceStrings) value = coerce(value, types);
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.map(t => (t === "integer" || t === "array" || t === "object" ? `an ${t}` : `a ${t}`)).join(" or ")}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(", ")}`);
+    return errors;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? "must not be empty" : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !compiled(schema.pattern).test(value)) {
+      fail("has an invalid format");
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format].test(value)) {
+      fail(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+      return errors;
+    }
+    if (schema.items) {
+      // One bad entry in a long event log is reported, not thousands.
+      for (let i = 0; i < value.length && errors.length === 0; i++) {
+        errors.push(...validateValue(schema.items, value[i], `${path}[${i}]`, { coerceStrings }));
+      }
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: path ? `${path}.${name}` : name, message: "is required" });
+      }
+    }
+    for (const [name, child] of Object.entries(schema.properties || {})) {
+      if (value[name] !== undefined) {
+        errors.push(...validateValue(child, value[name], path ? `${path}.${name}` : name, { coerceStrings }));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const name of Object.keys(value)) {
+        if (!schema.properties?.[name]) {
+          errors.push({ field: path ? `${path}.${name}` : name, message: "is not allowed" });
+        }
+      }
+    }
+  }
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => validateValue(option, value, path, { coerceStrings }));
+    if (!attempts.some(result => result.length === 0)) {
+      errors.push(...attempts[0]);
+    }
+  }
+
+  return errors;
+}
+
+// Checks params, query and body against a route spec from schemas/ and
+// answers VALIDATION_FAILED with every field-level problem. Handlers still
+// parse query values themselves; only the checks use coerced copies.
+export function validateRequest(spec) {
+  return (req, res, next) => {
+    const errors = [
+      ...(spec.params ? validateValue(spec.params, req.params, "params", { coerceStrings: true }) : []),
+      ...(spec.query ? validateValue(spec.query, req.query, "query", { coerceStrings: true }) : []),
+      ...(spec.body ? validateValue(spec.body, req.body ?? {}, "body") : []),
+    ];
+
+    if (errors.length === 0) return next();
+
+    metrics.validationFailures.inc({ route: `${spec.method.toUpperCase()} ${spec.path}` });
+    req.log.info("Request validation failed", { route: spec.path, errors });
+    sendError(res, "VALIDATION_FAILED", { details: { fields: errors } });
+  };
+}
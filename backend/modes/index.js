@@ -0,0 +1,73 @@
+import fs from "fs";
+import { fileURLToPath } from "url";
+import { REPLAY_PHYSICS } from "../lib/replay.js";
+import rules from "../anticheat/rules/index.js";
+
+// Named game modes. Each profile declares:
+//   physics        - overrides of REPLAY_PHYSICS used to replay its runs
+//                    (daily challenge modes use the day's modifiers instead)
+//   rules          - per-rule option overrides merged over the anti-cheat rule set
+//                    (scoring rate, physics expectations, score limits, ...)
+//   dailyChallenge - runs use the day's seed and modifiers (lib/dailyChallenge.js)
+// Every mode keeps its own best score per player.
+
+const DEFAULT_PROFILES_PATH = fileURLToPath(new URL("./profiles.json", import.meta.url));
+
+export function loadModes(path = process.env.GAME_MODES_PATH || DEFAULT_PROFILES_PATH) {
+  const config = JSON.parse(fs.readFileSync(path, "utf8"));
+  const knownRules = new Set(rules.map(r => r.name));
+  const modes = new Map();
+
+  for (const [id, profile] of Object.entries(config.modes || {})) {
+    for (const key of Object.keys(profile.physics || {})) {
+      if (!(key in REPLAY_PHYSICS)) {
+        throw new Error(`Unknown physics parameter "${key}" in game mode "${id}"`);
+      }
+    }
+    for (const name of Object.keys(profile.rules || {})) {
+      if (!knownRules.has(name)) {
+        throw new Error(`Unknown anti-cheat rule "${name}" in game mode "${id}"`);
+      }
+    }
+
+    modes.set(id, {
+      id,
+      name: profile.name || id,
+      description: profile.description || "",
+      dailyChallenge: Boolean(profile.dailyChallenge),
+      physics: { ...REPLAY_PHYSICS, ...profile.physics },
+      rules: profile.rules || {},
+    });
+  }
+
+  const defaultMode = config.defaultMode || "classic";
+  if (!modes.has(defaultMode)) {
+    throw new Error(`Default game mode "${defaultMode}" is not defined in ${path}`);
+  }
+
+  return { modes, defaultMode };
+}
+
+let activeModes = loadModes();
+
+export function getMode(id = activeModes.defaultMode) {
+  return activeModes.modes.get(id) || null;
+}
+
+export function listModes() {
+  return [...activeModes.modes.values()];
+}
+
+export function defaultModeId() {
+  return activeModes.defaultMode;
+}
+
+export function reloadModes(path) {
+  activeModes = loadModes(path);
+  return activeModes;
+}
+
+// Runs stored before modes existed have no mode and were played as the default.
+export function runMode(run) {
+  return run.mode || activeModes.defaultMode;
+}
@@ -0,0 +1,43 @@
+import express from "express";
+import { authenticateUser } from "../lib/authenticate.js";
+import { generalLimiter } from "../lib/rateLimits.js";
+import { sendError } from "../errors/index.js";
+import { describeAchievements, lifetimeTotals } from "../achievements/engine.js";
+
+const achievementsrouter = express.Router();
+
+achievementsrouter.get("/me", generalLimiter, async (req, res) => {
+  try {
+    const auth = await authenticateUser(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+
+    const { data: unlocked, error: unlockedError } = await store.achievements.listByUser(user.id);
+    if (unlockedError) {
+      req.log.error("Achievements fetch error", { err: unlockedError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch achievements" });
+    }
+
+    const { data: runs, error: runsError } = await store.runs.listAllByUser(user.id);
+    if (runsError) {
+      req.log.error("Run stats fetch error", { err: runsError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch achievements" });
+    }
+
+    const achievements = describeAchievements(unlocked, lifetimeTotals(runs));
+
+    res.json({
+      achievements,
+      summary: {
+        unlocked: achievements.filter(a => a.unlocked).length,
+        total: achievements.length,
+      },
+    });
+  } catch (error) {
+    req.log.error("Achievements fetch error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch achievements" });
+  }
+});
+
+export default achievementsrouter;
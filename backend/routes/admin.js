@@ -0,0 +1,475 @@
+import express from "express";
+import storage from "../storage/index.js";
+import { authenticateAdmin } from "../lib/authenticate.js";
+import { generalLimiter } from "../lib/rateLimits.js";
+import { parsePagination } from "../lib/pagination.js";
+import { isRankedRun } from "../lib/leaderboard.js";
+import { publishLeaderboardUpdate } from "../lib/leaderboardStream.js";
+import { validateUsername } from "../lib/username.js";
+import { awardAchievements } from "../achievements/engine.js";
+import { runMode } from "../modes/index.js";
+import { getBestScore, saveBestScore, tracksBestScore } from "../lib/bestScores.js";
+import { validateRequest } from "../lib/validation.js";
+import { sendError } from "../errors/index.js";
+import * as schemas from "../schemas/admin.js";
+
+const adminrouter = express.Router();
+
+// Every admin action is recorded; a failed audit write is logged but does
+// not undo the action itself.
+async function audit(req, store, adminId, action, { userId = null, runId = null, details = {} } = {}) {
+  const { error } = await store.audit.create({
+    admin_id: adminId,
+    action,
+    target_user_id: userId,
+    target_run_id: runId,
+    details,
+    created_at: new Date().toISOString()
+  });
+
+  if (error) {
+    req.log.error("Failed to write audit entry", { action, err: error });
+  } else {
+    req.log.info("Admin action", { adminId, action, targetUserId: userId, targetRunId: runId });
+  }
+}
+
+function toSubmission(run) {
+  return {
+    runId: run.id,
+    userId: run.user_id,
+    score: run.score,
+    duration: run.duration,
+    status: run.status,
+    suspicion: run.suspicion,
+    flaggedBy: run.flagged_by,
+    validationReport: run.validation_report,
+    submittedAt: run.created_at
+  };
+}
+
+async function loadRun(req, res, store, runId) {
+  const { data: run, error } = await store.runs.findById(runId);
+  if (error) {
+    req.log.error("Run fetch error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch run" });
+    return null;
+  }
+  if (!run) {
+    sendError(res, "RUN_NOT_FOUND");
+    return null;
+  }
+  return run;
+}
+
+async function loadPendingRun(req, res, store, runId) {
+  const run = await loadRun(req, res, store, runId);
+  if (!run) return null;
+
+  if (run.status !== "pending") {
+    sendError(res, "RUN_ALREADY_REVIEWED", { message: `Run is already ${run.status}` });
+    return null;
+  }
+  return run;
+}
+
+async function loadProfile(req, res, store, userId) {
+  const { data: profile, error } = await store.profiles.findByUserId(userId);
+  if (error) {
+    req.log.error("Profile fetch error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to access user profile" });
+    return null;
+  }
+  if (!profile) {
+    sendError(res, "USER_NOT_FOUND");
+    return null;
+  }
+  return profile;
+}
+
+// Raises the player's best score in the run's mode if the run beats it.
+async function raiseBestScore(store, run) {
+  const mode = runMode(run);
+  if (!tracksBestScore(mode)) {
+    return { newHighScore: false, previousHighScore: null };
+  }
+
+  const { data: best, error } = await getBestScore(store, run.user_id, mode);
+  if (error) return { error };
+
+  const previousHighScore = best.score;
+  if (run.score <= previousHighScore) {
+    return { newHighScore: false, previousHighScore };
+  }
+
+  const { error: updateError } = await saveBestScore(store, run.user_id, mode, run.score, run.created_at);
+  if (updateError) return { error: updateError };
+
+  publishLeaderboardUpdate();
+  return { newHighScore: true, previousHighScore };
+}
+
+// Recomputes the best score in the run's mode from the remaining ranked runs.
+async function recomputeBestScore(store, run) {
+  const mode = runMode(run);
+  if (!tracksBestScore(mode)) {
+    return { score: null };
+  }
+
+  const { data: runs, error } = await store.runs.listAllByUser(run.user_id);
+  if (error) return { error };
+
+  // Highest score, earliest run among equal ones.
+  const best = runs
+    .filter(r => isRankedRun(r) && runMode(r) === mode && (r.score || 0) > 0)
+    .reduce((top, r) => !top || r.score > top.score || (r.score === top.score && r.created_at < top.created_at) ? r : top, null);
+  const { error: updateError } = await saveBestScore(store, run.user_id, mode, best?.score ?? 0, best?.created_at);
+  if (updateError) return { error: updateError };
+
+  publishLeaderboardUpdate();
+  return { score: best?.score ?? 0 };
+}
+
+adminrouter.get("/reviews", generalLimiter, validateRequest(schemas.reviews), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { limit, offset } = parsePagination(req.query);
+    const { data: runs, count, error } = await auth.store.runs.listByStatus("pending", { limit, offset });
+    if (error) {
+      req.log.error("Review queue fetch error", { err: error });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch review queue" });
+    }
+
+    res.json({
+      reviews: (runs || []).map(toSubmission),
+      pagination: { limit, offset, total: count ?? 0 }
+    });
+  } catch (error) {
+    req.log.error("Review queue error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch review queue" });
+  }
+});
+
+adminrouter.post("/reviews/:runId/approve", generalLimiter, validateRequest(schemas.approveReview), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const run = await loadPendingRun(req, res, store, req.params.runId);
+    if (!run) return;
+
+    const { error: runError } = await store.runs.update(run.id, {
+      status: "approved",
+      reviewed_by: user.id,
+      reviewed_at: new Date().toISOString()
+    });
+
+    if (runError) {
+      req.log.error("Run approval error", { err: runError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to approve run" });
+    }
+
+    const { newHighScore, previousHighScore, error: scoreError } = await raiseBestScore(store, run);
+    if (scoreError) {
+      req.log.error("Profile update error", { err: scoreError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to update score" });
+    }
+
+    const newAchievements = await awardAchievements(store, run.user_id, { ...run, status: "approved" }, req.log);
+
+    await audit(req, store, user.id, "run.approve", { userId: run.user_id, runId: run.id, details: { score: run.score } });
+
+    res.json({ success: true, runId: run.id, status: "approved", newHighScore, previousHighScore, newAchievements });
+  } catch (error) {
+    req.log.error("Run approval error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to approve run" });
+  }
+});
+
+adminrouter.post("/reviews/:runId/reject", generalLimiter, validateRequest(schemas.rejectReview), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const run = await loadPendingRun(req, res, store, req.params.runId);
+    if (!run) return;
+
+    const { error } = await store.runs.update(run.id, {
+      status: "rejected",
+      reviewed_by: user.id,
+      reviewed_at: new Date().toISOString()
+    });
+
+    if (error) {
+      req.log.error("Run rejection error", { err: error });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to reject run" });
+    }
+
+    await audit(req, store, user.id, "run.reject", { userId: run.user_id, runId: run.id, details: { score: run.score } });
+
+    res.json({ success: true, runId: run.id, status: "rejected" });
+  } catch (error) {
+    req.log.error("Run rejection error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to reject run" });
+  }
+});
+
+adminrouter.get("/submissions", generalLimiter, validateRequest(schemas.submissions), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { limit, offset } = parsePagination(req.query);
+    const { data: runs, count, error } = await auth.store.runs.listRecent({
+      userId: req.query.userId,
+      limit,
+      offset
+    });
+
+    if (error) {
+      req.log.error("Submissions fetch error", { err: error });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch submissions" });
+    }
+
+    res.json({
+      submissions: (runs || []).map(toSubmission),
+      pagination: { limit, offset, total: count ?? 0 }
+    });
+  } catch (error) {
+    req.log.error("Submissions error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch submissions" });
+  }
+});
+
+adminrouter.delete("/runs/:runId", generalLimiter, validateRequest(schemas.removeRun), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const run = await loadRun(req, res, store, req.params.runId);
+    if (!run) return;
+
+    if (run.status === "removed") {
+      return sendError(res, "RUN_ALREADY_REMOVED");
+    }
+
+    const { error } = await store.runs.update(run.id, {
+      status: "removed",
+      reviewed_by: user.id,
+      reviewed_at: new Date().toISOString()
+    });
+
+    if (error) {
+      req.log.error("Run removal error", { err: error });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to remove run" });
+    }
+
+    const { score, error: scoreError } = await recomputeBestScore(store, run);
+    if (scoreError) {
+      req.log.error("Profile update error", { err: scoreError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to update score" });
+    }
+
+    await audit(req, store, user.id, "run.remove", {
+      userId: run.user_id,
+      runId: run.id,
+      details: { score: run.score, previousStatus: run.status, reason: req.body?.reason || null }
+    });
+
+    res.json({ success: true, runId: run.id, status: "removed", bestScore: score });
+  } catch (error) {
+    req.log.error("Run removal error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to remove run" });
+  }
+});
+
+adminrouter.post("/runs/:runId/restore", generalLimiter, validateRequest(schemas.restoreRun), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const run = await loadRun(req, res, store, req.params.runId);
+    if (!run) return;
+
+    if (run.status !== "removed") {
+      return sendError(res, "RUN_NOT_REMOVED");
+    }
+
+    const { error } = await store.runs.update(run.id, {
+      status: "approved",
+      reviewed_by: user.id,
+      reviewed_at: new Date().toISOString()
+    });
+
+    if (error) {
+      req.log.error("Run restore error", { err: error });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to restore run" });
+    }
+
+    const { newHighScore, error: scoreError } = await raiseBestScore(store, run);
+    if (scoreError) {
+      req.log.error("Profile update error", { err: scoreError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to update score" });
+    }
+
+    await audit(req, store, user.id, "run.restore", { userId: run.user_id, runId: run.id, details: { score: run.score } });
+
+    res.json({ success: true, runId: run.id, status: "approved", newHighScore });
+  } catch (error) {
+    req.log.error("Run restore error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to restore run" });
+  }
+});
+
+adminrouter.post("/users/:userId/ban", generalLimiter, validateRequest(schemas.banUser), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const { userId } = req.params;
+    const reason = typeof req.body?.reason === "string" ? req.body.reason.slice(0, 500) : null;
+
+    if (userId === user.id) {
+      return sendError(res, "CANNOT_BAN_SELF");
+    }
+
+    const profile = await loadProfile(req, res, store, userId);
+    if (!profile) return;
+
+    const { error } = await store.profiles.update(userId, {
+      banned: true,
+      banned_reason: reason,
+      banned_at: new Date().toISOString()
+    });
+
+    if (error) {
+      req.log.error("Ban error", { err: error });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to ban user" });
+    }
+
+    await audit(req, store, user.id, "user.ban", { userId, details: { reason } });
+
+    res.json({ success: true, userId, banned: true });
+  } catch (error) {
+    req.log.error("Ban error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to ban user" });
+  }
+});
+
+adminrouter.post("/users/:userId/unban", generalLimiter, validateRequest(schemas.unbanUser), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const { userId } = req.params;
+
+    const profile = await loadProfile(req, res, store, userId);
+    if (!profile) return;
+
+    const { error } = await store.profiles.update(userId, {
+      banned: false,
+      banned_reason: null,
+      banned_at: null
+    });
+
+    if (error) {
+      req.log.error("Unban error", { err: error });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to unban user" });
+    }
+
+    await audit(req, store, user.id, "user.unban", { userId, details: { previousReason: profile.banned_reason || null } });
+
+    res.json({ success: true, userId, banned: false });
+  } catch (error) {
+    req.log.error("Unban error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to unban user" });
+  }
+});
+
+adminrouter.patch("/users/:userId/username", generalLimiter, validateRequest(schemas.renameUser), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const { userId } = req.params;
+    const { username, error: usernameError } = validateUsername(req.body?.username);
+    if (usernameError) {
+      return sendError(res, "USERNAME_INVALID", { message: usernameError });
+    }
+
+    const profile = await loadProfile(req, res, store, userId);
+    if (!profile) return;
+
+    const { data: existingUser, error: checkError } = await store.profiles.findByUsername(username);
+    if (checkError) {
+      req.log.error("Error checking username", { err: checkError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to verify username availability" });
+    }
+    if (existingUser && existingUser.user_id !== userId) {
+      return sendError(res, "USERNAME_TAKEN");
+    }
+
+    // The Auth admin API needs the server's own client, not the admin's token.
+    const { error: metadataError } = await storage.auth.updateUserMetadata(userId, { username });
+    if (metadataError) {
+      req.log.error("Failed to sync username to auth metadata", { err: metadataError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to rename user" });
+    }
+
+    const { error: profileError } = await store.profiles.update(userId, { user_name: username });
+    if (profileError) {
+      req.log.error("Rename error", { err: profileError });
+      await storage.auth.updateUserMetadata(userId, { username: profile.user_name });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to rename user" });
+    }
+
+    await audit(req, store, user.id, "user.rename", { userId, details: { from: profile.user_name, to: username } });
+    publishLeaderboardUpdate();
+
+    res.json({ success: true, userId, username });
+  } catch (error) {
+    req.log.error("Rename error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to rename user" });
+  }
+});
+
+adminrouter.get("/audit", generalLimiter, validateRequest(schemas.auditLog), async (req, res) => {
+  try {
+    const auth = await authenticateAdmin(req, res);
+    if (!auth) return;
+
+    const { limit, offset } = parsePagination(req.query);
+    const { data: entries, count, error } = await auth.store.audit.list({ limit, offset });
+
+    if (error) {
+      req.log.error("Audit log fetch error", { err: error });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch audit log" });
+    }
+
+    res.json({
+      entries: (entries || []).map(e => ({
+        adminId: e.admin_id,
+        action: e.action,
+        targetUserId: e.target_user_id,
+        targetRunId: e.target_run_id,
+        details: e.details,
+        createdAt: e.created_at
+      })),
+      pagination: { limit, offset, total: count ?? 0 }
+    });
+  } catch (error) {
+    req.log.error("Audit log error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch audit log" });
+  }
+});
+
+export default adminrouter;
@@ -1,114 +1,316 @@
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
+import crypto from "crypto";
+import storage from "../storage/index.js";
+import { metrics } from "../lib/metrics.js";
+import { authenticateUser } from "../lib/authenticate.js";
+import { publishLeaderboardUpdate } from "../lib/leaderboardStream.js";
+import { validateUsername } from "../lib/username.js";
+import { deleteAccountData, exportAccount } from "../lib/account.js";
+import { clearCheckpoint } from "../lib/checkpoints.js";
+import { clearAttempts } from "../lib/dailyChallenge.js";
+import { clearActiveSession } from "../lib/gameSessions.js";
+import { signupLimiter, loginLimiter, authEmailLimiter, generalLimiter } from "../lib/rateLimits.js";
+import { validateRequest } from "../lib/validation.js";
+import { sendError } from "../errors/index.js";
+import * as schemas from "../schemas/auth.js";
 const authrouter = express.Router();
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY,
-);
+const USERNAME_CHANGE_COOLDOWN = 30 * 24 * 60 * 60 * 1000;
 
-authrouter.post("/signup", async (req, res) => {
+function passwordResetUrl() {
+  return process.env.PASSWORD_RESET_URL || `${process.env.CLIENT_URL}/reset-password`;
+}
+
+function sessionResponse(user, session) {
+  return {
+    username: user.user_metadata?.username || null,
+    guest: Boolean(user.is_anonymous),
+    token: session.access_token,
+    refreshToken: session.refresh_token,
+    expiresAt: session.expires_at,
+  };
+}
+
+authrouter.post("/signup", signupLimiter, validateRequest(schemas.signup), async (req, res) => {
   try {
-    const { email, pass, username } = req.body;
-    if (!email || !pass || !username) {
-      return res.status(400).json({ error: "Missing required fields" });
+    const { email } = req.body;
+    const password = req.body.password ?? req.body.pass;
+
+    const { username, error: usernameError } = validateUsername(req.body.username);
+    if (usernameError) {
+      return sendError(res, "USERNAME_INVALID", { message: usernameError });
     }
     
-    const { data: existingUser, error: checkError } = await supabase
-      .from("USER_PROFILES")
-      .select("user_name")
-      .eq("user_name", username.trim())
-      .single();
+    const { data: existingUser, error: checkError } = await storage.profiles
+      .findByUsername(username);
 
-    if (checkError && checkError.code !== 'PGRST116') { 
-      console.error("Error checking username:", checkError.message);
-      return res.status(500).json({ error: "Failed to verify username availability" });
+    if (checkError) { 
+      req.log.error("Error checking username", { err: checkError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to verify username availability" });
     }
 
     if (existingUser) {
-      return res.status(400).json({ error: "Username already exists. Please choose a different username." });
+      return sendError(res, "USERNAME_TAKEN");
     }
     
-    const { data, error } = await supabase.auth.signUp({
-      email: email,
-      password: pass,
-      options: {
-        data: {
-          username: username,
-        },
-      },
+    const { data, error } = await storage.auth.signUp(email, password, {
+      username: username,
     });
 
     if (error) {
-      console.error("Error signing up:", error.message);
-      return res.status(400).json({ error: error.message });
+      req.log.error("Error signing up", { err: error.message });
+      return sendError(res, "SIGNUP_FAILED", { message: error.message });
     }
 
     try {
-      const { data: profileData, error: profileError } = await supabase
-        .from("USER_PROFILES")
-        .insert([
-          {
-            user_id: data.user.id,
-            user_name: username,  
-            score: 0,            
-            last_updated: new Date().toISOString()
-          }
-        ]);
+      const { error: profileError } = await storage.profiles.create({
+        user_id: data.user.id,
+        user_name: username,  
+        score: 0,            
+        last_updated: new Date().toISOString()
+      });
 
       if (profileError) {
-        console.error("Error inserting user profile:", profileError.message);
+        req.log.error("Error inserting user profile", { userId: data.user.id, err: profileError.message });
         
         try {
-          await supabase.auth.admin.deleteUser(data.user.id);
+          await storage.auth.deleteUser(data.user.id);
         } catch (cleanupError) {
-          console.error("Failed to cleanup user after profile creation failure:", cleanupError);
+          req.log.error("Failed to cleanup user after profile creation failure", { err: cleanupError });
         }
         
-        return res.status(500).json({ error: "Failed to create user profile" });
+        return sendError(res, "INTERNAL_ERROR", { message: "Failed to create user profile" });
       }
     } catch (profileError) {
-      console.error("Profile creation error:", profileError);
-      return res.status(500).json({ error: "Failed to create user profile" });
+      req.log.error("Profile creation error", { err: profileError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to create user profile" });
     }
 
     return res.json({ user: data.user });
   } catch (error) {
-    console.error("Signup error:", error);
-    return res.status(500).json({ error: "Failed to enter User Credentials" });
+    req.log.error("Signup error", { err: error });
+    return sendError(res, "INTERNAL_ERROR", { message: "Failed to enter User Credentials" });
   }
 });
 
-authrouter.post("/login", async (req, res) => {
+authrouter.post("/login", loginLimiter, validateRequest(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
-    if (!email || !password) {
-      return res.status(400).json({ error: "Missing email or password" });
-    }
 
-    const { data, error } = await supabase.auth.signInWithPassword({
-      email,
-      password,
-    });
+    const { data, error } = await storage.auth.signIn(email, password);
 
     if (error) {
-      console.error("Error signing in:", error.message);
-      return res.status(401).json({ error: "Invalid email or password" });
+      req.log.error("Error signing in", { err: error.message });
+      metrics.authFailures.inc({ reason: "invalid_credentials" });
+      return sendError(res, "INVALID_CREDENTIALS");
     }
 
     if (!data.session || !data.user) {
-      return res.status(401).json({ error: "Failed to authenticate user" });
+      return sendError(res, "AUTH_FAILED", { message: "Failed to authenticate user" });
     }
 
-    const username = data.user.user_metadata?.username || null;
+    res.json(sessionResponse(data.user, data.session));
+  } catch (error) {
+    req.log.error("Login error", { err: error });
+    sendError(res, "INTERNAL_ERROR");
+  }
+});
 
-    res.json({
-      username: username,
-      token: data.session.access_token,
+// Generated names can collide, so try a few before giving up.
+async function generateGuestName() {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const name = `Guest${crypto.randomInt(100000, 1000000)}`;
+    const { data: existing, error } = await storage.profiles.findByUsername(name);
+    if (error) return { data: null, error };
+    if (!existing) return { data: name, error: null };
+  }
+  return { data: null, error: { message: "Could not generate a free guest name" } };
+}
+
+authrouter.post("/guest", signupLimiter, async (req, res) => {
+  try {
+    const { data: username, error: nameError } = await generateGuestName();
+
+    if (nameError) {
+      req.log.error("Error generating guest name", { err: nameError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to create guest account" });
+    }
+
+    const { data, error } = await storage.auth.signInAnonymously({ username });
+
+    if (error || !data.session || !data.user) {
+      req.log.error("Error creating guest user", { err: error?.message || "No session returned" });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to create guest account" });
+    }
+
+    const { error: profileError } = await storage.profiles.create({
+      user_id: data.user.id,
+      user_name: username,
+      score: 0,
+      hidden_from_leaderboard: true,
+      last_updated: new Date().toISOString()
     });
+
+    if (profileError) {
+      req.log.error("Error inserting guest profile", { userId: data.user.id, err: profileError.message });
+      await storage.auth.deleteUser(data.user.id);
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to create guest account" });
+    }
+
+    res.json(sessionResponse(data.user, data.session));
   } catch (error) {
-    console.error("Login error:", error);
-    res.status(500).json({ error: "Internal server error" });
+    req.log.error("Guest signup error", { err: error });
+    sendError(res, "INTERNAL_ERROR");
+  }
+});
+
+// Same user id afterwards, so best score and run history carry over.
+authrouter.post("/upgrade", signupLimiter, validateRequest(schemas.upgrade), async (req, res) => {
+  try {
+    const auth = await authenticateUser(req, res);
+    if (!auth) return;
+
+    const { email } = req.body;
+    const password = req.body.password ?? req.body.pass;
+
+    if (!auth.user.is_anonymous) {
+      return sendError(res, "ACCOUNT_ALREADY_REGISTERED");
+    }
+
+    const { username, error: usernameError } = validateUsername(req.body.username);
+    if (usernameError) {
+      return sendError(res, "USERNAME_INVALID", { message: usernameError });
+    }
+
+    const { data: existingUser, error: checkError } = await storage.profiles
+      .findByUsername(username);
+
+    if (checkError) {
+      req.log.error("Error checking username", { err: checkError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to verify username availability" });
+    }
+
+    if (existingUser && existingUser.user_id !== auth.user.id) {
+      return sendError(res, "USERNAME_TAKEN");
+    }
+
+    const { data, error } = await storage.auth.upgradeAnonymous(auth.user.id, email, password, { username });
+
+    if (error) {
+      req.log.error("Error upgrading guest", { userId: auth.user.id, err: error.message });
+      return sendError(res, "SIGNUP_FAILED", { message: error.message });
+    }
+
+    const { error: profileError } = await storage.profiles.update(auth.user.id, {
+      user_name: username,
+      hidden_from_leaderboard: false
+    });
+
+    if (profileError) {
+      req.log.error("Error updating upgraded profile", { userId: auth.user.id, err: profileError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to update user profile" });
+    }
+
+    req.log.info("Guest upgraded", { userId: auth.user.id });
+    publishLeaderboardUpdate();
+    res.json({ user: data.user });
+  } catch (error) {
+    req.log.error("Upgrade error", { err: error });
+    sendError(res, "INTERNAL_ERROR");
+  }
+});
+
+authrouter.post("/refresh", generalLimiter, validateRequest(schemas.refresh), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { data, error } = await storage.auth.refreshSession(refreshToken);
+
+    if (error || !data.session || !data.user) {
+      req.log.info("Session refresh failed", { error: error?.message || "No session returned" });
+      metrics.authFailures.inc({ reason: "invalid_refresh_token" });
+      return sendError(res, "INVALID_REFRESH_TOKEN");
+    }
+
+    res.json(sessionResponse(data.user, data.session));
+  } catch (error) {
+    req.log.error("Refresh error", { err: error });
+    sendError(res, "INTERNAL_ERROR");
+  }
+});
+
+authrouter.post("/logout", generalLimiter, async (req, res) => {
+  try {
+    const auth = await authenticateUser(req, res);
+    if (!auth) return;
+
+    const token = req.headers.authorization.split(" ")[1];
+    const { error } = await storage.auth.signOut(token);
+
+    if (error) {
+      req.log.error("Error signing out", { userId: auth.user.id, err: error.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to log out" });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error("Logout error", { err: error });
+    sendError(res, "INTERNAL_ERROR");
+  }
+});
+
+// Both email endpoints answer the same way whether or not the account
+// exists, so they can't be used to discover registered emails.
+authrouter.post("/forgot-password", authEmailLimiter, validateRequest(schemas.forgotPassword), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const { error } = await storage.auth.sendPasswordReset(email, passwordResetUrl());
+
+    if (error) {
+      req.log.error("Error sending password reset", { err: error.message });
+    }
+
+    res.json({ success: true, message: "If an account exists for this email, a reset link has been sent." });
+  } catch (error) {
+    req.log.error("Forgot password error", { err: error });
+    sendError(res, "INTERNAL_ERROR");
+  }
+});
+
+authrouter.post("/reset-password", authEmailLimiter, validateRequest(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const { error } = await storage.auth.resetPassword(token, password);
+
+    if (error) {
+      req.log.info("Password reset failed", { error: error.message });
+      metrics.authFailures.inc({ reason: "invalid_recovery_token" });
+      return sendError(res, "INVALID_RECOVERY_TOKEN", { message: error.message });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error("Reset password error", { err: error });
+    sendError(res, "INTERNAL_ERROR");
+  }
+});
+
+authrouter.post("/resend-verification", authEmailLimiter, validateRequest(schemas.resendVerification), async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const { error } = await storage.auth.resendVerification(email, process.env.CLIENT_URL);
+
+    if (error) {
+      req.log.error("Error resending verification email", { err: error.message });
+    }
+
+    res.json({ success: true, message: "If this email has an unconfirmed account, a new verification link has been sent." });
+  } catch (error) {
+    req.log.error("Resend verification error", { err: error });
+    sendError(res, "INTERNAL_ERROR");
   }
 });
 
@@ -116,64 +318,198 @@ authrouter.post("/verify", async (req, res) => {
   try {
     const authHeader = req.headers.authorization;
     if (!authHeader) {
-      return res.status(401).json({ error: "Authorization header missing" });
+      return sendError(res, "AUTH_REQUIRED", { message: "Authorization header missing" });
     }
 
     const token = authHeader.split(" ")[1];
     if (!token) {
-      return res.status(401).json({ error: "Token missing" });
+      return sendError(res, "AUTH_REQUIRED", { message: "Token missing" });
     }
 
-    const supabaseClient = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_KEY,
-      {
-        global: {
-          headers: { Authorization: `Bearer ${token}` }
-        }
-      }
-    );
-
-    const { data: { user }, error } = await supabaseClient.auth.getUser(token);
+    const { data: user, error } = await storage.withToken(token).auth.getUser(token);
     
     if (error || !user) {
-      console.log("Token verification failed:", error?.message || "User not found");
-      return res.status(401).json({ error: "Invalid or expired token" });
+      req.log.info("Token verification failed", { error: error?.message || "User not found" });
+      metrics.authFailures.inc({ reason: "invalid_token" });
+      return sendError(res, "AUTH_FAILED", { message: "Invalid or expired token" });
     }
 
     return res.json({ valid: true, user_id: user.id });
     
   } catch (error) {
-    console.error("Token verification error:", error);
-    return res.status(401).json({ error: "Token verification failed" });
+    req.log.error("Token verification error", { err: error });
+    return sendError(res, "AUTH_FAILED", { message: "Token verification failed" });
   }
 });
 
-authrouter.get("/check-username/:username", async (req, res) => {
+// Self-service rename, at most once per USERNAME_CHANGE_COOLDOWN. The
+// profile is the source of truth; user_metadata is kept in step with it.
+authrouter.patch("/username", generalLimiter, validateRequest(schemas.changeUsername), async (req, res) => {
   try {
-    const { username } = req.params;
-    
-    if (!username || username.trim().length < 3) {
-      return res.status(400).json({ error: "Username must be at least 3 characters long" });
+    const auth = await authenticateUser(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const { username, error: usernameError } = validateUsername(req.body.username);
+    if (usernameError) {
+      return sendError(res, "USERNAME_INVALID", { message: usernameError });
+    }
+
+    const { data: profile, error: profileError } = await store.profiles.findByUserId(user.id);
+    if (profileError || !profile) {
+      req.log.error("Error loading profile", { userId: user.id, err: profileError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to load user profile" });
+    }
+
+    if (profile.user_name === username) {
+      return sendError(res, "USERNAME_UNCHANGED");
+    }
+
+    const changedAt = profile.username_changed_at ? new Date(profile.username_changed_at).getTime() : 0;
+    const nextChangeAt = changedAt + USERNAME_CHANGE_COOLDOWN;
+    if (Date.now() < nextChangeAt) {
+      return sendError(res, "USERNAME_CHANGE_COOLDOWN", {
+        details: { nextChangeAt: new Date(nextChangeAt).toISOString() }
+      });
+    }
+
+    const { data: existingUser, error: checkError } = await store.profiles.findByUsername(username);
+    if (checkError) {
+      req.log.error("Error checking username", { err: checkError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to verify username availability" });
+    }
+    if (existingUser && existingUser.user_id !== user.id) {
+      return sendError(res, "USERNAME_TAKEN");
+    }
+
+    const { error: metadataError } = await storage.auth.updateUserMetadata(user.id, { username });
+    if (metadataError) {
+      req.log.error("Error updating username metadata", { userId: user.id, err: metadataError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to change username" });
+    }
+
+    const { error: updateError } = await store.profiles.update(user.id, {
+      user_name: username,
+      username_changed_at: new Date().toISOString()
+    });
+
+    if (updateError) {
+      req.log.error("Error updating profile username", { userId: user.id, err: updateError.message });
+      await storage.auth.updateUserMetadata(user.id, { username: profile.user_name });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to change username" });
+    }
+
+    req.log.info("Username changed", { userId: user.id });
+    publishLeaderboardUpdate();
+
+    res.json({ success: true, username, previousUsername: profile.user_name });
+  } catch (error) {
+    req.log.error("Username change error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to change username" });
+  }
+});
+
+// Everything stored about the caller as a downloadable JSON file.
+authrouter.get("/export", generalLimiter, async (req, res) => {
+  try {
+    const auth = await authenticateUser(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const { data, error } = await exportAccount(store, user);
+
+    if (error) {
+      req.log.error("Error exporting account", { userId: user.id, err: error.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to export account data" });
+    }
+
+    req.log.info("Account exported", { userId: user.id });
+    res.attachment(`account-${user.id}.json`);
+    res.type("json").send(JSON.stringify(data, null, 2));
+  } catch (error) {
+    req.log.error("Account export error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to export account data" });
+  }
+});
+
+// Registered players confirm with their password; guests have none, so
+// their bearer token is enough. Failed confirmations count towards the
+// login limit.
+authrouter.delete("/account", loginLimiter, validateRequest(schemas.deleteAccount), async (req, res) => {
+  try {
+    const auth = await authenticateUser(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+
+    if (!user.is_anonymous) {
+      const { password } = req.body;
+      if (!password) {
+        return sendError(res, "PASSWORD_INCORRECT", { message: "Confirm with your password" });
+      }
+
+      const { error: passwordError } = await storage.auth.verifyPassword(user.email, password);
+      if (passwordError) {
+        req.log.info("Account deletion not confirmed", { userId: user.id });
+        return sendError(res, "PASSWORD_INCORRECT");
+      }
+    }
+
+    const { data: sessions, error: sessionsError } = await store.sessions.listByUser(user.id);
+    if (sessionsError) {
+      req.log.error("Error listing sessions", { userId: user.id, err: sessionsError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to delete account" });
+    }
+
+    const { error: dataError } = await deleteAccountData(store, user.id);
+    if (dataError) {
+      req.log.error("Error deleting account data", { userId: user.id, err: dataError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to delete account" });
+    }
+
+    // Session state in the key-value store isn't part of the rows above.
+    await clearActiveSession(user.id);
+    for (const session of sessions) {
+      await clearCheckpoint(session.session_key);
+    }
+    await clearAttempts(user.id);
+
+    const { error: userError } = await storage.auth.deleteUser(user.id);
+    if (userError) {
+      req.log.error("Error deleting auth user", { userId: user.id, err: userError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to delete account" });
+    }
+
+    req.log.info("Account deleted", { userId: user.id });
+    publishLeaderboardUpdate();
+    res.json({ success: true });
+  } catch (error) {
+    req.log.error("Account deletion error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to delete account" });
+  }
+});
+
+authrouter.get("/check-username/:username", validateRequest(schemas.checkUsername), async (req, res) => {
+  try {
+    const { username, error: usernameError } = validateUsername(req.params.username);
+    if (usernameError) {
+      return sendError(res, "USERNAME_INVALID", { message: usernameError });
     }
     
-    const { data: existingUser, error: checkError } = await supabase
-      .from("USER_PROFILES")
-      .select("user_name")
-      .eq("user_name", username.trim())
-      .single();
+    const { data: existingUser, error: checkError } = await storage.profiles
+      .findByUsername(username);
 
-    if (checkError && checkError.code !== 'PGRST116') {
-      console.error("Error checking username:", checkError.message);
-      return res.status(500).json({ error: "Failed to check username availability" });
+    if (checkError) {
+      req.log.error("Error checking username", { err: checkError.message });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to check username availability" });
     }
 
     const available = !existingUser;
     res.json({ available });
     
   } catch (error) {
-    console.error("Username check error:", error);
-    res.status(500).json({ error: "Failed to check username availability" });
+    req.log.error("Username check error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to check username availability" });
   }
 });
 
@@ -0,0 +1,13 @@
+import express from "express";
+import { generalLimiter } from "../lib/rateLimits.js";
+import { getClientConfig } from "../lib/gameConfig.js";
+
+const configrouter = express.Router();
+
+configrouter.get("/", generalLimiter, (req, res) => {
+  const config = getClientConfig();
+  res.set("ETag", `"${config.configVersion}"`);
+  res.json({ ...config, serverTime: Date.now() });
+});
+
+export default configrouter;
@@ -0,0 +1,120 @@
+import express from "express";
+import { generalLimiter } from "../lib/rateLimits.js";
+import { parsePagination } from "../lib/pagination.js";
+import { toPublicEntry } from "../lib/leaderboard.js";
+import { validateRequest } from "../lib/validation.js";
+import { sendError } from "../errors/index.js";
+import * as schemas from "../schemas/daily.js";
+import {
+  archiveChallenge,
+  challengeDate,
+  getChallengePage,
+  getDailyChallenge,
+  isChallengeClosed,
+  isDailyChallengeEnabled,
+  isChallengeDate
+} from "../lib/dailyChallenge.js";
+import storage from "../storage/index.js";
+import logger from "../lib/logger.js";
+
+const dailyrouter = express.Router();
+const dailyLog = logger.child({ router: "daily" });
+
+const ARCHIVE_INTERVAL = 5 * 60 * 1000;
+
+function archivedEntry(row) {
+  return {
+    rank: row.rank,
+    player: row.user_name || "Player",
+    score: row.score,
+    lastUpdated: row.achieved_at,
+  };
+}
+
+// Closed days are served from the archive, archiving on first request if
+// the background job hasn't got to it yet.
+async function loadArchive(date, page) {
+  const archive = await storage.dailyResults.findByDate(date, page);
+  if (archive.error || archive.count > 0) return archive;
+
+  const { error: archiveError } = await archiveChallenge(date);
+  if (archiveError) return { data: null, error: archiveError };
+
+  return await storage.dailyResults.findByDate(date, page);
+}
+
+dailyrouter.get("/", generalLimiter, (req, res) => {
+  if (!isDailyChallengeEnabled()) {
+    return sendError(res, "DAILY_CHALLENGE_UNAVAILABLE");
+  }
+  const { date, seed, modifiers, physics, attemptsAllowed, endsAt } = getDailyChallenge();
+  res.json({ date, seed, modifiers, physics, attemptsAllowed, endsAt, serverTime: Date.now() });
+});
+
+dailyrouter.get("/leaderboard", generalLimiter, validateRequest(schemas.dailyLeaderboard), async (req, res) => {
+  try {
+    const date = req.query.date || challengeDate();
+    if (!isChallengeDate(date)) {
+      return sendError(res, "INVALID_DATE");
+    }
+    if (date > challengeDate()) {
+      return sendError(res, "INVALID_DATE", { message: "date must not be in the future" });
+    }
+
+    const { limit, offset } = parsePagination(req.query, 10);
+    const archived = isChallengeClosed(date);
+
+    let entries;
+    let total;
+    if (archived) {
+      const { data: rows, count, error } = await loadArchive(date, { limit, offset });
+      if (error) {
+        req.log.error("Daily archive fetch error", { date, err: error });
+        return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch leaderboard" });
+      }
+      entries = rows.map(archivedEntry);
+      total = count ?? 0;
+    } else {
+      const { data: page, error } = await getChallengePage(date, { limit, offset });
+      if (error) {
+        req.log.error("Daily leaderboard fetch error", { date, err: error });
+        return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch leaderboard" });
+      }
+      entries = page.entries.map(toPublicEntry);
+      total = page.total;
+    }
+
+    res.json({
+      date,
+      archived,
+      leaderboard: entries,
+      pagination: { limit, offset, total },
+      lastUpdated: new Date().toISOString()
+    });
+  } catch (error) {
+    req.log.error("Daily leaderboard error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch leaderboard" });
+  }
+});
+
+// Archive yesterday's board once its grace period is over.
+let lastArchived = null;
+setInterval(async () => {
+  const yesterday = challengeDate(new Date(Date.now() - 24 * 60 * 60 * 1000));
+  if (yesterday === lastArchived || !isChallengeClosed(yesterday)) return;
+
+  try {
+    const { count, error } = await loadArchive(yesterday, { limit: 1, offset: 0 });
+    if (error) {
+      dailyLog.error("Failed to archive daily challenge", { date: yesterday, err: error });
+      return;
+    }
+
+    lastArchived = yesterday;
+    dailyLog.info("Daily challenge archived", { date: yesterday, players: count });
+  } catch (error) {
+    dailyLog.error("Daily archive job error", { date: yesterday, err: error });
+  }
+}, ARCHIVE_INTERVAL).unref();
+
+export default dailyrouter;
@@ -1,655 +1,605 @@
 import express from "express";
-import { createClient } from "@supabase/supabase-js";
-import rateLimit from "express-rate-limit";
 import crypto from "crypto";
+import { generateSessionSecret } from "../lib/eventChain.js";
+import { getRuleSet, runRules } from "../anticheat/engine.js";
+import {
+  applyCheckpoint,
+  clearCheckpoint,
+  getCheckpoint,
+  getCheckpointLog,
+  lockCheckpoint,
+  saveCheckpoint,
+  unlockCheckpoint,
+  withCheckpoint,
+} from "../lib/checkpoints.js";
+import storage from "../storage/index.js";
+import { authenticateUser } from "../lib/authenticate.js";
+import { scoreUpdateLimiter, generalLimiter } from "../lib/rateLimits.js";
+import {
+  decodeCursor,
+  encodeCursor,
+  getLeaderboardEntry,
+  getLeaderboardPage,
+  toPublicEntry,
+} from "../lib/leaderboard.js";
+import { openLeaderboardStream, publishLeaderboardUpdate } from "../lib/leaderboardStream.js";
+import logger from "../lib/logger.js";
+import { metrics } from "../lib/metrics.js";
+import { awardAchievements } from "../achievements/engine.js";
+import { defaultModeId, getMode, listModes } from "../modes/index.js";
+import { getBestScore, listBestScores, saveBestScore, tracksBestScore } from "../lib/bestScores.js";
+import { GAME_CONSTANTS, clientVersionOf, configVersion, rejectUnsupportedClient } from "../lib/gameConfig.js";
+import {
+  clearActiveSession,
+  consumeSession,
+  generateSessionKey,
+  getActiveSession,
+  isSessionConsumed,
+  setActiveSession,
+} from "../lib/gameSessions.js";
+import { validateRequest } from "../lib/validation.js";
+import { acceptCompactRuns } from "../lib/compactEvents.js";
+import { sendError } from "../errors/index.js";
+import * as schemas from "../schemas/game.js";
+import {
+  DAILY_GRACE_PERIOD,
+  challengeDate,
+  challengeEndsAt,
+  getChallengeEntry,
+  getDailyChallenge,
+  isDailyChallengeEnabled,
+  refundAttempt,
+  useAttempt
+} from "../lib/dailyChallenge.js";
 
 const router = express.Router();
-const supabaseBase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY
-);
-
-const GAME_CONSTANTS = {
-  MIN_GAME_DURATION: 2000,
-  MAX_GAME_DURATION: 999999999999999, 
-  MIN_SCORE_PER_SECOND: 10, 
-  MAX_SCORE_PER_SECOND: 30, 
-  MAX_SCORE_LIMIT: 15000000, 
-  COOLDOWN_PERIOD: 3000,
-  PHYSICS_TOLERANCE: 0.5,
-  MIN_EVENTS: 2,
-  MAX_EVENTS: 999999999999999, 
-  SESSION_TIMEOUT: 86400000, // 24 hours in ms (reduced from extremely large value)
-  MAX_SUBMISSION_DELAY: 999999999999999, 
-  REQUIRE_FRESH_GAME: true,
-};
-
-const scoreUpdateLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 3,
-  message: { error: "Too many score submissions. Please wait before trying again." },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-
-const generalLimiter = rateLimit({
-  windowMs: 60 * 1000,
-  max: 25,
-  message: { error: "Too many requests" }
-});
+const gameLog = logger.child({ router: "game" });
 
-const activeGameSessions = new Map(); 
-const completedSessions = new Set(); 
 
-function generateSimpleSessionKey(userId) {
-  const timestamp = Date.now();
-  const randomPart = Math.random().toString(36).substring(2, 15);
-  return `${userId}-${timestamp}-${randomPart}`;
+function generateReplaySeed() {
+  return crypto.randomBytes(4).readUInt32BE(0);
 }
 
-function createAuthenticatedSupabaseClient(token) {
-  return createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY,
-    {
-      global: {
-        headers: {
-          Authorization: `Bearer ${token}`
-        }
-      }
-    }
-  );
+// The cached active session, or the stored row while it hasn't expired.
+async function loadSession(userId, sessionKey, log = gameLog) {
+  const cached = await getActiveSession(userId);
+  if (cached?.sessionKey === sessionKey) {
+    return cached;
+  }
+
+  const { data, error } = await storage.sessions.findActive(userId, sessionKey);
+  if (error || !data) {
+    log.debug("No valid session found in storage", { error: error?.message });
+    return null;
+  }
+
+  log.debug("Session found in storage, caching");
+  const userSession = {
+    sessionKey: sessionKey,
+    seed: data.seed,
+    secret: data.secret,
+    mode: data.mode || defaultModeId(),
+    challengeDate: data.challenge_date || null,
+    configVersion: data.config_version || null,
+    created: new Date(data.created_at).getTime(),
+    expiresAt: new Date(data.expires_at).getTime()
+  };
+  await setActiveSession(userId, userSession);
+  return userSession;
 }
 
-async function validateGameSession(gameSession, finalScore, userId, sessionKey) {
-  console.log(`=== STARTING VALIDATION for user ${userId} ===`);
-  console.log(`Validating game session for user ${userId}:`, {
+// Verbose per-check tracing is logged at debug level only.
+async function validateGameSession(gameSession, finalScore, userId, sessionKey, log = gameLog) {
+  log.debug("Validating game session", {
+    userId,
     score: finalScore,
     duration: gameSession.duration,
-    events: gameSession.events?.length,
-    sessionKey: sessionKey
+    events: gameSession.events?.length
   });
 
   const { startTime, endTime, duration, events } = gameSession;
   
   // Check 1: Basic data structure
-  console.log(`CHECK 1 - Basic data structure:`, {
-    hasStartTime: !!startTime,
-    hasEndTime: !!endTime,
-    hasEvents: !!events,
-    eventsIsArray: Array.isArray(events)
-  });
-  
   if (!startTime || !endTime || !events || !Array.isArray(events)) {
-    console.log(`❌ FAILED CHECK 1 - Invalid game data structure`);
-    return { valid: false, reason: "Invalid game data" };
+    log.debug("Check 1 failed: invalid game data structure", {
+      hasStartTime: !!startTime,
+      hasEndTime: !!endTime,
+      eventsIsArray: Array.isArray(events)
+    });
+    return { valid: false, code: "INVALID_GAME_DATA", rejectedBy: ["structure"] };
   }
-  console.log(`✅ PASSED CHECK 1`);
 
   // Check 2: Session completion status
-  console.log(`CHECK 2 - Session completion status:`, {
-    sessionAlreadyCompleted: completedSessions.has(sessionKey)
-  });
-
-  if (completedSessions.has(sessionKey)) {
-    console.log(`❌ FAILED CHECK 2 - Game session already completed`);
-    return { valid: false, reason: "Game session expired" };
-  }
-  console.log(`✅ PASSED CHECK 2`);
-
-  // Check 3: Active session validation (in-memory + Supabase fallback)
-  let userSession = activeGameSessions.get(userId);
-  console.log(`CHECK 3 - Active session validation (initial):`, {
-    hasActiveSessionInMemory: !!userSession,
-    sessionKeyMatchesInMemory: userSession?.sessionKey === sessionKey,
-    activeSessionKeyInMemory: userSession?.sessionKey,
-    providedSessionKey: sessionKey
-  });
-
-  if (!userSession || userSession.sessionKey !== sessionKey) {
-    // Fall back to Supabase
-    const { data, error } = await supabaseBase
-      .from("game_sessions")
-      .select("*")
-      .eq("user_id", userId)
-      .eq("session_key", sessionKey)
-      .gte("expires_at", new Date().toISOString())
-      .single();
-
-    if (error || !data) {
-      console.log(`❌ FAILED CHECK 3 - No valid session found in Supabase:`, error?.message);
-      return { valid: false, reason: "Game session expired" };
-    }
-
-    console.log(`✅ FOUND SESSION IN SUPABASE - Caching in memory`);
-    userSession = {
-      sessionKey: sessionKey,
-      created: new Date(data.created_at).getTime()
-    };
-    activeGameSessions.set(userId, userSession);
-  } else {
-    console.log(`✅ PASSED CHECK 3 - Found in-memory session`);
-  }
-  console.log(`✅ PASSED CHECK 3`);
-
-  // Check 4: Submission delay
-  const gameEndTime = new Date(endTime).getTime();
-  const submissionDelay = Date.now() - gameEndTime;
-  console.log(`CHECK 4 - Submission delay:`, {
-    gameEndTime: new Date(endTime).toISOString(),
-    currentTime: new Date().toISOString(),
-    submissionDelay: submissionDelay,
-    maxAllowedDelay: GAME_CONSTANTS.MAX_SUBMISSION_DELAY,
-    requireFreshGame: GAME_CONSTANTS.REQUIRE_FRESH_GAME
-  });
-  
-  if (GAME_CONSTANTS.REQUIRE_FRESH_GAME && submissionDelay > GAME_CONSTANTS.MAX_SUBMISSION_DELAY) {
-    console.log(`❌ FAILED CHECK 4 - Submission delay too long`);
-    return { valid: false, reason: "Game session expired" };
+  if (await isSessionConsumed(sessionKey)) {
+    log.debug("Check 2 failed: game session already completed");
+    return { valid: false, code: "SESSION_REUSED", rejectedBy: ["session-reused"] };
   }
-  console.log(`✅ PASSED CHECK 4`);
 
-  // Check 5: Events count
-  console.log(`CHECK 5 - Events count:`, {
-    eventsCount: events.length,
-    minRequired: GAME_CONSTANTS.MIN_EVENTS,
-    maxAllowed: GAME_CONSTANTS.MAX_EVENTS
-  });
-
-  if (events.length < GAME_CONSTANTS.MIN_EVENTS) {
-    console.log(`❌ FAILED CHECK 5 - Too few events`);
-    return { valid: false, reason: "Invalid game data" };
+  // Check 3: Active session validation (shared cache + storage fallback)
+  const userSession = await loadSession(userId, sessionKey, log);
+  if (!userSession) {
+    log.debug("Check 3 failed: session expired or unknown");
+    return { valid: false, code: "SESSION_EXPIRED", rejectedBy: ["session-expired"] };
   }
 
-  if (events.length > GAME_CONSTANTS.MAX_EVENTS) {
-    console.log(`❌ FAILED CHECK 5 - Too many events`);
-    return { valid: false, reason: "Invalid game data" };
+  // Sessions outlive config changes; a mode that was removed can't be validated.
+  const mode = getMode(userSession.mode || defaultModeId());
+  if (!mode || (mode.dailyChallenge && !isDailyChallengeEnabled())) {
+    log.info("Session mode no longer exists", { userId, mode: userSession.mode });
+    return { valid: false, code: "MODE_UNAVAILABLE", rejectedBy: ["mode"] };
   }
-  console.log(`✅ PASSED CHECK 5`);
-
-  // Check 6: Timestamp validation
-  const startTs = new Date(startTime).getTime();
-  const endTs = new Date(endTime).getTime();
-  const now = Date.now();
-
-  console.log(`CHECK 6 - Timestamp validation:`, {
-    startTime: startTime,
-    endTime: endTime,
-    startTs: startTs,
-    endTs: endTs,
-    now: now,
-    startTsValid: !isNaN(startTs),
-    endTsValid: !isNaN(endTs),
-    startInFuture: startTs > now,
-    endInFuture: endTs > now,
-    startAfterEnd: startTs > endTs
-  });
 
-  if (isNaN(startTs) || isNaN(endTs)) {
-    console.log(`❌ FAILED CHECK 6 - Invalid timestamps (NaN)`);
-    return { valid: false, reason: "Invalid game data" };
+  // Checks 4+: configurable anti-cheat rules, tuned by the mode's profile
+  const verdict = await runRules({
+    gameSession,
+    events,
+    score: finalScore,
+    duration,
+    startTs: new Date(startTime).getTime(),
+    endTs: new Date(endTime).getTime(),
+    now: Date.now(),
+    userId,
+    sessionKey,
+    userSession,
+    physics: mode.dailyChallenge
+      ? getDailyChallenge(userSession.challengeDate).physics
+      : mode.physics
+  }, getRuleSet(), mode.rules);
+
+  for (const v of verdict.report) {
+    log.debug(`Rule ${v.rule} ${v.skipped ? "skipped" : v.passed ? "passed" : "failed"}`, {
+      rule: v.rule,
+      severity: v.severity,
+      passed: v.passed,
+      details: v.details
+    });
   }
 
-  if (startTs > now || endTs > now || startTs > endTs) {
-    console.log(`❌ FAILED CHECK 6 - Invalid timestamp logic`);
-    return { valid: false, reason: "Invalid game data" };
+  if (!verdict.valid) {
+    log.info("Run rejected by anti-cheat rules", { userId, rejectedBy: verdict.rejectedBy });
+    return { valid: false, code: verdict.code, rejectedBy: verdict.rejectedBy, report: verdict.report };
   }
-  console.log(`✅ PASSED CHECK 6`);
-
-  // Check 7: Game age validation
-  const gameAge = now - startTs;
-  const maxGameAge = 6 * 60 * 60 * 1000; // 6 hours
-  console.log(`CHECK 7 - Game age validation:`, {
-    gameAge: gameAge,
-    gameAgeMinutes: Math.round(gameAge / (1000 * 60)),
-    maxGameAgeMinutes: Math.round(maxGameAge / (1000 * 60)),
-    tooOld: gameAge > maxGameAge
-  });
 
-  if (now - startTs > 6 * 60 * 60 * 1000) {
-    console.log(`❌ FAILED CHECK 7 - Game too old`);
-    return { valid: false, reason: "Game session expired" };
+  if (!(await consumeSession(sessionKey))) {
+    log.info("Session consumed by a concurrent submission", { userId });
+    return { valid: false, code: "SESSION_REUSED", rejectedBy: ["session-reused"] };
   }
-  console.log(`✅ PASSED CHECK 7`);
-
-  // Check 8: Duration consistency
-  const calculatedDuration = endTs - startTs;
-  const durationDiff = Math.abs(duration - calculatedDuration);
-  console.log(`CHECK 8 - Duration consistency:`, {
-    providedDuration: duration,
-    calculatedDuration: calculatedDuration,
-    difference: durationDiff,
-    maxAllowedDiff: 10000
-  });
-  
-  if (Math.abs(duration - calculatedDuration) > 10000) { 
-    console.log(`❌ FAILED CHECK 8 - Duration inconsistency`);
-    return { valid: false, reason: "Invalid game data" };
-  }
-  console.log(`✅ PASSED CHECK 8`);
-
-  // Check 9: Duration limits
-  console.log(`CHECK 9 - Duration limits:`, {
-    duration: duration,
-    minDuration: GAME_CONSTANTS.MIN_GAME_DURATION,
-    maxDuration: GAME_CONSTANTS.MAX_GAME_DURATION,
-    tooShort: duration < GAME_CONSTANTS.MIN_GAME_DURATION,
-    tooLong: duration > GAME_CONSTANTS.MAX_GAME_DURATION
-  });
 
-  if (duration < GAME_CONSTANTS.MIN_GAME_DURATION || duration > GAME_CONSTANTS.MAX_GAME_DURATION) {
-    console.log(`❌ FAILED CHECK 9 - Duration out of bounds`);
-    return { valid: false, reason: "Invalid game data" };
-  }
-  console.log(`✅ PASSED CHECK 9`);
-
-  // Check 10: Required events
-  const startEvent = events.find(e => e.type === 'game_start');
-  const endEvent = events.find(e => e.type === 'collision' || e.type === 'game_over');
+  await clearCheckpoint(sessionKey);
 
-  console.log(`CHECK 10 - Required events:`, {
-    hasStartEvent: !!startEvent,
-    hasEndEvent: !!endEvent,
-    startEventData: startEvent,
-    endEventData: endEvent
-  });
+  // Delete the stored session after successful validation
+  const { error: deleteError } = await storage.sessions.delete(userId, sessionKey);
 
-  if (!startEvent) {
-    console.log(`❌ FAILED CHECK 10 - Missing start event`);
-    return { valid: false, reason: "Invalid game data" };
-  }
-
-  if (!endEvent) {
-    console.log(`❌ FAILED CHECK 10 - Missing end event`);
-    return { valid: false, reason: "Invalid game data" };
-  }
-  console.log(`✅ PASSED CHECK 10`);
-
-  // Check 11: Score limits
-  console.log(`CHECK 11 - Score limits:`, {
-    finalScore: finalScore,
-    maxScoreLimit: GAME_CONSTANTS.MAX_SCORE_LIMIT,
-    negative: finalScore < 0,
-    tooHigh: finalScore > GAME_CONSTANTS.MAX_SCORE_LIMIT
-  });
-
-  if (finalScore < 0 || finalScore > GAME_CONSTANTS.MAX_SCORE_LIMIT) {
-    console.log(`❌ FAILED CHECK 11 - Score out of bounds`);
-    return { valid: false, reason: "Invalid score data" };
-  }
-  console.log(`✅ PASSED CHECK 11`);
-
-  // Check 12: Score rate validation
-  const scoreRate = (finalScore / duration) * 1000;
-  console.log(`CHECK 12 - Score rate validation:`, {
-    finalScore: finalScore,
-    duration: duration,
-    scoreRate: scoreRate,
-    minRate: GAME_CONSTANTS.MIN_SCORE_PER_SECOND,
-    maxRate: GAME_CONSTANTS.MAX_SCORE_PER_SECOND,
-    tooSlow: scoreRate < GAME_CONSTANTS.MIN_SCORE_PER_SECOND,
-    tooFast: scoreRate > GAME_CONSTANTS.MAX_SCORE_PER_SECOND
-  });
-  
-  if (scoreRate < GAME_CONSTANTS.MIN_SCORE_PER_SECOND || scoreRate > GAME_CONSTANTS.MAX_SCORE_PER_SECOND) {
-    console.log(`❌ FAILED CHECK 12 - Score rate invalid: ${scoreRate.toFixed(2)} points/sec`);
-    return { valid: false, reason: "Invalid score data" };
+  if (deleteError) {
+    log.warn("Failed to delete session from storage", { err: deleteError });
   }
-  console.log(`✅ PASSED CHECK 12`);
-
-  // Check 13: Physics validation
-  const expectedScore = Math.floor(duration / 50);
-  const scoreDifference = Math.abs(finalScore - expectedScore);
-  
-  const baseTolerance = Math.max(200, expectedScore * GAME_CONSTANTS.PHYSICS_TOLERANCE);
-  const highScoreTolerance = finalScore > 5000 ? baseTolerance * 2 : baseTolerance;
   
-  console.log(`CHECK 13 - Physics validation:`, {
-    expectedScore: expectedScore,
-    actualScore: finalScore,
-    scoreDifference: scoreDifference,
-    baseTolerance: baseTolerance,
-    highScoreTolerance: highScoreTolerance,
-    isHighScore: finalScore > 5000,
-    physicsToleranceConstant: GAME_CONSTANTS.PHYSICS_TOLERANCE
-  });
-  
-  if (scoreDifference > highScoreTolerance) {
-    console.log(`❌ FAILED CHECK 13 - Physics validation failed: expected ~${expectedScore}, got ${finalScore}, difference ${scoreDifference}, tolerance ${highScoreTolerance}`);
-    return { 
-      valid: false, 
-      reason: "Invalid score data"
-    };
-  }
-  console.log(`✅ PASSED CHECK 13`);
-
-  // Check 14: Jump behavior analysis
-  const jumpEvents = events.filter(e => e.type === 'jump');
-  console.log(`CHECK 14 - Jump behavior analysis:`, {
-    totalJumps: jumpEvents.length,
-    hasJumps: jumpEvents.length > 0
+  log.info("Run passed validation", {
+    userId,
+    score: finalScore,
+    flaggedBy: verdict.flaggedBy,
+    suspicion: verdict.suspicion
   });
-  
-  if (jumpEvents.length > 0) {
-    const jumpIntervals = [];
-    for (let i = 1; i < jumpEvents.length; i++) {
-      jumpIntervals.push(jumpEvents[i].timestamp - jumpEvents[i-1].timestamp);
-    }
+  return {
+    valid: true,
+    mode: mode.id,
+    challengeDate: userSession.challengeDate || null,
+    configVersion: userSession.configVersion || null,
+    flaggedBy: verdict.flaggedBy,
+    suspicion: verdict.suspicion,
+    needsReview: verdict.needsReview,
+    report: verdict.report
+  };
+}
 
-    console.log(`CHECK 14a - Jump intervals:`, {
-      jumpIntervalsCount: jumpIntervals.length,
-      minInterval: jumpIntervals.length > 0 ? Math.min(...jumpIntervals) : 'N/A',
-      maxInterval: jumpIntervals.length > 0 ? Math.max(...jumpIntervals) : 'N/A',
-      avgInterval: jumpIntervals.length > 0 ? Math.round(jumpIntervals.reduce((a,b) => a+b, 0) / jumpIntervals.length) : 'N/A'
-    });
+// Sends COOLDOWN_ACTIVE and returns true when the best score in the
+// session's mode changed too recently. Checked before validation, so a
+// blocked submission keeps its session and is never stored as a run.
+async function rejectDuringCooldown(userId, sessionKey, store, res, log) {
+  const userSession = await loadSession(userId, sessionKey, log);
+  const mode = userSession?.mode || defaultModeId();
+  if (!userSession || !tracksBestScore(mode)) return false;
 
-    if (jumpIntervals.length > 10) { 
-      const fastReactions = jumpIntervals.filter(interval => interval < 50);
-      const maxFastReactionRatio = duration > 300000 ? 0.5 : 0.3;
-      const actualFastReactionRatio = fastReactions.length / jumpIntervals.length;
-      
-      console.log(`CHECK 14b - Fast reaction analysis:`, {
-        fastReactions: fastReactions.length,
-        totalIntervals: jumpIntervals.length,
-        actualRatio: actualFastReactionRatio,
-        maxAllowedRatio: maxFastReactionRatio,
-        durationLong: duration > 300000,
-        tooManyFastReactions: actualFastReactionRatio > maxFastReactionRatio
-      });
-      
-      if (fastReactions.length > jumpIntervals.length * maxFastReactionRatio) {
-        console.log(`❌ FAILED CHECK 14 - Too many fast reactions`);
-        return { valid: false, reason: "Invalid game data" };
-      }
-    }
+  const { data: best, error } = await getBestScore(store, userId, mode);
+  if (error) {
+    log.error("Best score fetch error", { mode, err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to access user profile" });
+    return true;
   }
-  console.log(`✅ PASSED CHECK 14`);
 
-  // Check 15: Jump vs obstacle analysis
-  const obstacleSpawns = events.filter(e => e.type === 'obstacle_spawn').length;
-  
-  console.log(`CHECK 15 - Jump vs obstacle analysis:`, {
-    obstacleSpawns: obstacleSpawns,
-    jumpEvents: jumpEvents.length,
-    finalScore: finalScore,
-    jumpToObstacleRatio: obstacleSpawns > 0 ? (jumpEvents.length / obstacleSpawns) : 'N/A'
-  });
-  
-  if (finalScore > 1000 && jumpEvents.length < obstacleSpawns * 0.7) {
-    console.log(`❌ FAILED CHECK 15a - Jump validation failed: ${jumpEvents.length} jumps for ${obstacleSpawns} obstacles`);
-    return { valid: false, reason: "Invalid game data" };
-  }
-  
-  if (finalScore > 500 && jumpEvents.length === 0) {
-    console.log(`❌ FAILED CHECK 15b - No jumps for high score`);
-    return { valid: false, reason: "Invalid game data" };
-  }
-  console.log(`✅ PASSED CHECK 15`);
-  
-  // Check 16: Integrity violations
-  const integrityViolations = events.filter(e => e.type === 'integrity_violation');
-  console.log(`CHECK 16 - Integrity violations:`, {
-    integrityViolations: integrityViolations.length,
-    violations: integrityViolations
-  });
-  
-  if (integrityViolations.length > 0) {
-    console.log(`❌ FAILED CHECK 16 - Integrity violation detected in events`);
-    return { valid: false, reason: "Invalid game data" };
-  }
-  console.log(`✅ PASSED CHECK 16`);
-
-  // Delete the session from Supabase after successful validation
-  const { error: deleteError } = await supabaseBase
-    .from("game_sessions")
-    .delete()
-    .eq("user_id", userId)
-    .eq("session_key", sessionKey);
+  const elapsed = best.lastUpdated ? Date.now() - new Date(best.lastUpdated).getTime() : Infinity;
+  if (elapsed >= GAME_CONSTANTS.COOLDOWN_PERIOD) return false;
 
-  if (deleteError) {
-    console.error(`Warning: Failed to delete session from Supabase:`, deleteError);
-  } else {
-    console.log(`Session deleted from Supabase successfully`);
-  }
-
-  completedSessions.add(sessionKey);
-  
-  console.log(`🎉 ALL CHECKS PASSED - High score game session validation successful for user ${userId}`);
-  console.log(`=== VALIDATION COMPLETE ===`);
-  return { valid: true };
+  sendError(res, "COOLDOWN_ACTIVE", {
+    details: { cooldownRemaining: Math.ceil((GAME_CONSTANTS.COOLDOWN_PERIOD - elapsed) / 1000) }
+  });
+  return true;
 }
 
-async function authenticateUser(req, res) {
-  const authHeader = req.headers.authorization;
-  if (!authHeader) {
-    res.status(401).json({ error: "Authentication required" });
-    return null;
-  }
+// Sends ACCOUNT_SUSPENDED and returns true when an admin has banned the account.
+async function rejectBannedUser(userId, store, res, log) {
+  const { data: profile, error } = await store.profiles.findByUserId(userId);
 
-  const token = authHeader.split(" ")[1];
-  if (!token) {
-    res.status(401).json({ error: "Authentication required" });
-    return null;
+  if (error) {
+    log.error("Profile fetch error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to access user profile" });
+    return true;
   }
 
-  const supabase = createAuthenticatedSupabaseClient(token);
-  try {
-    const { data: { user }, error: userError } = await supabase.auth.getUser(token);
-    
-    if (userError || !user) {
-      console.log("User authentication failed:", userError?.message || "User not found");
-      res.status(401).json({ error: "Authentication failed" });
-      return null;
-    }
-    
-    return { user, supabase };
-  } catch (error) {
-    console.error("Authentication error:", error);
-    res.status(401).json({ error: "Authentication failed" });
-    return null;
+  if (profile?.banned) {
+    log.info("Banned user blocked", { userId });
+    sendError(res, "ACCOUNT_SUSPENDED");
+    return true;
   }
+
+  return false;
 }
 
-async function getOrCreateProfile(userId, supabase, userName = "Player") {
+async function getOrCreateProfile(userId, store, userName = "Player", log = gameLog) {
   try {
-    const { data: profileData, error: fetchError } = await supabase
-      .from("USER_PROFILES")
-      .select("score, last_updated")
-      .eq("user_id", userId)
-      .single();
+    const { data: profileData, error: fetchError } = await store.profiles.findByUserId(userId);
 
     if (profileData) {
-      console.log(`Found existing profile for user ${userId}`);
       return profileData;
     }
 
-    if (fetchError && fetchError.code === 'PGRST116') {
-      console.log(`Creating profile for user ${userId}`);
-      
-      const { data: newProfile, error: createError } = await supabase
-        .from("USER_PROFILES")
-        .insert({
-          user_id: userId,
-          user_name: userName,
-          score: 0,
-          last_updated: new Date().toISOString()
-        })
-        .select("score, last_updated")
-        .single();
+    if (!fetchError) {
+      const { data: newProfile, error: createError } = await store.profiles.create({
+        user_id: userId,
+        user_name: userName,
+        score: 0,
+        last_updated: new Date().toISOString()
+      });
       
       if (createError) {
-        console.error("Failed to create profile:", createError);
+        log.error("Failed to create profile", { userId, err: createError });
         throw new Error("Failed to create user profile");
       }
       
-      console.log(`Created new profile for user ${userId}`);
+      log.info("Created profile", { userId });
       return newProfile;
     }
 
-    console.error("Database query error:", fetchError);
+    log.error("Profile query error", { userId, err: fetchError });
     throw new Error("Failed to access user profile");
     
   } catch (error) {
-    console.error("Profile management error:", error);
+    log.error("Profile management error", { userId, err: error });
     throw error;
   }
 }
 
-router.post("/create-session", generalLimiter, async (req, res) => {
+router.post("/create-session", generalLimiter, validateRequest(schemas.createSession), async (req, res) => {
   try {
+    if (rejectUnsupportedClient(req, res)) return;
+
     const auth = await authenticateUser(req, res);
     if (!auth) return;
     
-    const { user, supabase } = auth;
-    const sessionKey = generateSimpleSessionKey(user.id);
-    const expiresAt = new Date(Date.now() + GAME_CONSTANTS.SESSION_TIMEOUT).toISOString();
-
-    // Store session in Supabase
-    const { error: insertError } = await supabase
-      .from("game_sessions")
-      .insert({
-        user_id: user.id,
-        session_key: sessionKey,
-        created_at: new Date().toISOString(),
-        expires_at: expiresAt
+    const { user, store } = auth;
+    if (await rejectBannedUser(user.id, store, res, req.log)) return;
+
+    const mode = req.body?.mode ?? defaultModeId();
+    const profile = getMode(mode);
+    if (!profile) {
+      return sendError(res, "INVALID_MODE", {
+        message: `mode must be one of ${listModes().map(m => m.id).join(", ")}`
       });
-
-    if (insertError) {
-      console.error("Failed to store session in Supabase:", insertError);
-      return res.status(500).json({ error: "Failed to create game session" });
     }
 
-    // Cache in memory for quick access
-    activeGameSessions.set(user.id, {
-      sessionKey: sessionKey,
-      created: Date.now()
-    });
+    if (profile.dailyChallenge && !isDailyChallengeEnabled()) {
+      return sendError(res, "DAILY_CHALLENGE_UNAVAILABLE");
+    }
 
-    const now = Date.now();
-    for (const [userId, session] of activeGameSessions.entries()) {
-      if (now - session.created > GAME_CONSTANTS.SESSION_TIMEOUT) {
-        activeGameSessions.delete(userId);
+    const created = Date.now();
+    let expiresAt = created + GAME_CONSTANTS.SESSION_TIMEOUT;
+    let seed = generateReplaySeed();
+    let physics = profile.physics;
+    let challenge = null;
+
+    // Daily sessions replay that day's seed and modifiers and can only be
+    // submitted until the day's board closes.
+    if (profile.dailyChallenge) {
+      challenge = getDailyChallenge(challengeDate(new Date(created)));
+      const { attemptsUsed, allowed } = await useAttempt(user.id, challenge.date);
+      if (!allowed) {
+        await refundAttempt(user.id, challenge.date);
+        return sendError(res, "DAILY_ATTEMPTS_EXHAUSTED", {
+          details: { attemptsAllowed: challenge.attemptsAllowed, resetsAt: challenge.endsAt }
+        });
       }
+      challenge.attemptsUsed = attemptsUsed;
+      seed = challenge.seed;
+      physics = challenge.physics;
+      expiresAt = Math.min(expiresAt, challengeEndsAt(challenge.date) + DAILY_GRACE_PERIOD);
     }
-    
-    if (completedSessions.size > 10000) {
-      completedSessions.clear();
+
+    const sessionKey = generateSessionKey(user.id);
+    const secret = generateSessionSecret();
+    const sessionConfigVersion = configVersion();
+
+    // Persist session so any instance can validate it
+    const { error: insertError } = await store.sessions.create({
+      user_id: user.id,
+      session_key: sessionKey,
+      seed: seed,
+      secret: secret,
+      mode: mode,
+      challenge_date: challenge?.date ?? null,
+      config_version: sessionConfigVersion,
+      client_version: clientVersionOf(req),
+      created_at: new Date(created).toISOString(),
+      expires_at: new Date(expiresAt).toISOString()
+    });
+
+    if (insertError) {
+      req.log.error("Failed to store session", { err: insertError });
+      if (challenge) await refundAttempt(user.id, challenge.date);
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to create game session" });
     }
+
+    // Cache for quick access; expires with the session
+    await setActiveSession(user.id, {
+      sessionKey: sessionKey,
+      seed: seed,
+      secret: secret,
+      mode: mode,
+      challengeDate: challenge?.date ?? null,
+      configVersion: sessionConfigVersion,
+      created: created,
+      expiresAt: expiresAt
+    });
     
-    console.log(`Game session created for user ${user.id}: ${sessionKey}`);
+    metrics.sessionsCreated.inc();
+    req.log.info("Game session created", { userId: user.id, mode });
     
     res.json({
       success: true,
       sessionKey: sessionKey,
+      seed: seed,
+      secret: secret,
+      mode: mode,
+      configVersion: sessionConfigVersion,
+      physics: physics,
+      ...(challenge && {
+        challenge: {
+          date: challenge.date,
+          modifiers: challenge.modifiers,
+          attemptsUsed: challenge.attemptsUsed,
+          attemptsAllowed: challenge.attemptsAllowed,
+          endsAt: challenge.endsAt
+        }
+      }),
       maxDuration: GAME_CONSTANTS.MAX_GAME_DURATION,
       serverTime: Date.now()
     });
     
   } catch (error) {
-    console.error("Session creation error:", error);
-    res.status(500).json({ error: "Failed to create game session" });
+    req.log.error("Session creation error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to create game session" });
+  }
+});
+
+// Batches of a long run's event log, uploaded while it is played; see
+// lib/checkpoints.js. A batch that fails the checks for cheating ends the run.
+router.post("/sessions/:sessionKey/checkpoint", generalLimiter, validateRequest(schemas.checkpoint), async (req, res) => {
+  try {
+    if (rejectUnsupportedClient(req, res)) return;
+
+    const auth = await authenticateUser(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    if (await rejectBannedUser(user.id, store, res, req.log)) return;
+
+    const { sessionKey } = req.params;
+    if (await isSessionConsumed(sessionKey)) {
+      return sendError(res, "SESSION_REUSED");
+    }
+
+    const userSession = await loadSession(user.id, sessionKey, req.log);
+    if (!userSession) {
+      return sendError(res, "SESSION_EXPIRED");
+    }
+
+    if (!(await lockCheckpoint(sessionKey))) {
+      return sendError(res, "CHECKPOINT_IN_PROGRESS");
+    }
+
+    try {
+      const result = applyCheckpoint(await getCheckpoint(sessionKey), req.body, {
+        secret: userSession.secret,
+        sessionKey,
+        now: Date.now(),
+        limits: getRuleSet().checkpoints
+      });
+
+      if (!result.valid) {
+        metrics.checkpoints.inc({ outcome: "rejected" });
+        req.log.info("Checkpoint rejected", { userId: user.id, code: result.code, reason: result.reason, forfeit: !!result.forfeit });
+
+        if (result.forfeit) {
+          await consumeSession(sessionKey);
+          await clearCheckpoint(sessionKey);
+          await clearActiveSession(user.id);
+        }
+        return sendError(res, result.code, { message: result.message });
+      }
+
+      if (result.batch) {
+        await saveCheckpoint(sessionKey, result.state, result.batch, userSession.expiresAt);
+      }
+      metrics.checkpoints.inc({ outcome: "accepted" });
+
+      res.json({
+        success: true,
+        nextSeq: result.state.nextSeq,
+        chainHead: result.state.head
+      });
+    } finally {
+      await unlockCheckpoint(sessionKey);
+    }
+  } catch (error) {
+    req.log.error("Checkpoint error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to store checkpoint" });
   }
 });
 
-router.post("/scoreupdate", scoreUpdateLimiter, async (req, res) => {
+router.post("/scoreupdate", scoreUpdateLimiter, acceptCompactRuns(), validateRequest(schemas.scoreUpdate), async (req, res) => {
   try {
+    if (rejectUnsupportedClient(req, res)) return;
+
     const auth = await authenticateUser(req, res);
     if (!auth) return;
     
-    const { user, supabase } = auth;
-    const { score, gameSession, sessionKey } = req.body;
+    const { user, store } = auth;
+    if (await rejectBannedUser(user.id, store, res, req.log)) return;
+
+    const { score, sessionKey } = req.body;
+    if (await rejectDuringCooldown(user.id, sessionKey, store, res, req.log)) return;
 
-    console.log(`High score submission for user ${user.id}:`, {
+    const gameSession = withCheckpoint(req.body.gameSession, await getCheckpointLog(sessionKey));
+
+    req.log.info("Score submission", {
+      userId: user.id,
       score,
       duration: gameSession?.duration,
       events: gameSession?.events?.length,
-      sessionKey,
       hasGameSession: !!gameSession
     });
 
-    if (typeof score !== "number" || score < 0 || !Number.isInteger(score)) {
-      return res.status(400).json({ error: "Invalid request data" });
-    }
+    metrics.submittedScore.observe({}, score);
+    metrics.submittedDuration.observe({}, gameSession.duration / 1000);
+
+    const validation = await validateGameSession(gameSession, score, user.id, sessionKey, req.log);
+    if (!validation.valid) {
+      metrics.submissions.inc({ outcome: "rejected" });
+      for (const rule of validation.rejectedBy) {
+        metrics.ruleRejections.inc({ rule });
+      }
 
-    if (score > GAME_CONSTANTS.MAX_SCORE_LIMIT) {
-      return res.status(400).json({ error: "Invalid request data" });
+      return sendError(res, validation.code);
     }
 
-    if (!gameSession || typeof gameSession !== 'object') {
-      return res.status(400).json({ error: "Invalid request data" });
+    const { data: run, error: runError } = await store.runs.create({
+      user_id: user.id,
+      session_key: sessionKey,
+      score: score,
+      duration: gameSession.duration,
+      jump_count: gameSession.events.filter(e => e.type === 'jump').length,
+      obstacle_count: gameSession.events.filter(e => e.type === 'obstacle_spawn').length,
+      client_version: clientVersionOf(req),
+      config_version: validation.configVersion,
+      mode: validation.mode,
+      challenge_date: validation.challengeDate,
+      flagged_by: validation.flaggedBy,
+      suspicion: validation.suspicion,
+      status: validation.needsReview ? "pending" : "accepted",
+      validation_report: validation.report,
+      started_at: new Date(gameSession.startTime).toISOString(),
+      ended_at: new Date(gameSession.endTime).toISOString(),
+      created_at: new Date().toISOString()
+    });
+
+    if (runError) {
+      req.log.error("Failed to record run", { err: runError });
     }
 
-    if (!sessionKey) {
-      return res.status(400).json({ error: "Invalid request data" });
+    metrics.submissions.inc({ outcome: validation.needsReview ? "pending" : "accepted" });
+
+    if (validation.needsReview) {
+      if (runError) {
+        return sendError(res, "INTERNAL_ERROR", { message: "Failed to submit run for review" });
+      }
+
+      await clearActiveSession(user.id);
+      req.log.info("Run held for review", { userId: user.id, runId: run.id, suspicion: validation.suspicion });
+
+      return res.status(202).json({
+        success: true,
+        pendingReview: true,
+        runId: run.id,
+        submittedScore: score,
+        message: "Run submitted for review"
+      });
     }
 
-    const validation = await validateGameSession(gameSession, score, user.id, sessionKey);
-    if (!validation.valid) {
-      console.log(`High score validation failed for user ${user.id}: ${validation.reason}`);
-      
-      return res.status(400).json({ 
-        error: `Game validation failed: ${validation.reason}` 
+    const newAchievements = runError ? [] : await awardAchievements(store, user.id, run, req.log);
+
+    // Daily runs only count on that day's board, never for the best score.
+    if (getMode(validation.mode).dailyChallenge) {
+      await clearActiveSession(user.id);
+
+      const { data: entry, error: rankingError } = await getChallengeEntry(validation.challengeDate, user.id);
+      if (rankingError) {
+        req.log.error("Daily ranking fetch error", { err: rankingError });
+      }
+
+      return res.json({
+        success: true,
+        mode: validation.mode,
+        challengeDate: validation.challengeDate,
+        submittedScore: score,
+        bestScore: entry?.score ?? score,
+        rank: entry?.rank ?? null,
+        newAchievements
       });
     }
 
-    let currentProfile;
+    const mode = validation.mode;
     try {
-      currentProfile = await getOrCreateProfile(user.id, supabase, "Player");
+      await getOrCreateProfile(user.id, store, "Player", req.log);
     } catch (error) {
-      console.error("Profile error:", error);
-      return res.status(500).json({ error: "Failed to access user profile" });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to access user profile" });
     }
 
-    const currentHighScore = currentProfile?.score || 0;
-    const lastUpdated = currentProfile?.last_updated;
-
-    if (lastUpdated) {
-      const timeSinceLastUpdate = Date.now() - new Date(lastUpdated).getTime();
-      if (timeSinceLastUpdate < GAME_CONSTANTS.COOLDOWN_PERIOD) {
-        return res.status(429).json({ 
-          error: "Please wait before submitting another score",
-          cooldownRemaining: Math.ceil((GAME_CONSTANTS.COOLDOWN_PERIOD - timeSinceLastUpdate) / 1000)
-        });
-      }
+    const { data: best, error: bestError } = await getBestScore(store, user.id, mode);
+    if (bestError) {
+      req.log.error("Best score fetch error", { mode, err: bestError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to access user profile" });
     }
 
+    const currentHighScore = best.score;
+
     if (score <= currentHighScore) {
       return res.json({
         success: false,
+        code: "SCORE_NOT_IMPROVED",
         message: "Score not higher than current high score",
+        mode,
         currentHighScore,
-        submittedScore: score
+        submittedScore: score,
+        newAchievements
       });
     }
 
-    const { error: updateError } = await supabase
-      .from("USER_PROFILES")
-      .update({
-        score: score,
-        last_updated: new Date().toISOString()
-      })
-      .eq("user_id", user.id);
+    const { error: updateError } = await saveBestScore(store, user.id, mode, score);
 
     if (updateError) {
-      console.error("Database update error:", updateError);
-      return res.status(500).json({ error: "Failed to update score" });
+      req.log.error("Score update failed", { err: updateError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to update score" });
     }
 
-    activeGameSessions.delete(user.id);
+    await clearActiveSession(user.id);
+    if (mode === defaultModeId()) {
+      publishLeaderboardUpdate();
+    }
 
-    console.log(`HIGH SCORE UPDATE SUCCESSFUL for user ${user.id}: ${score} (previous: ${currentHighScore})`);
+    req.log.info("High score updated", { userId: user.id, mode, score, previousHighScore: currentHighScore });
 
     return res.json({
       success: true,
+      mode,
       newHighScore: score,
       previousHighScore: currentHighScore,
       message: "New high score saved!",
-      improvement: score - currentHighScore
+      improvement: score - currentHighScore,
+      newAchievements
     });
 
   } catch (error) {
-    console.error("Score update error:", error);
-    return res.status(500).json({ error: "Internal server error" });
+    req.log.error("Score update error", { err: error });
+    return sendError(res, "INTERNAL_ERROR");
   }
 });
 
@@ -658,83 +608,148 @@ router.get("/userscore", generalLimiter, async (req, res) => {
     const auth = await authenticateUser(req, res);
     if (!auth) return;
     
-    const { user, supabase } = auth;
+    const { user, store } = auth;
     
     let profile;
     try {
-      profile = await getOrCreateProfile(user.id, supabase, "Player");
+      profile = await getOrCreateProfile(user.id, store, "Player", req.log);
     } catch (error) {
-      console.error("Profile error:", error);
-      return res.status(500).json({ error: "Failed to access user profile" });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to access user profile" });
+    }
+
+    const { data: pendingRuns, error: pendingError } = await store.runs.listByStatus("pending", {
+      userId: user.id,
+      limit: 20,
+      offset: 0
+    });
+
+    if (pendingError) {
+      req.log.error("Pending runs fetch error", { err: pendingError });
+    }
+
+    const { data: bestScores, error: bestError } = await listBestScores(store, user.id, profile);
+
+    if (bestError) {
+      req.log.error("Mode scores fetch error", { err: bestError });
     }
 
     return res.json({ 
       score: profile?.score || 0,
-      lastUpdated: profile?.last_updated
+      lastUpdated: profile?.last_updated,
+      bestScores: bestScores || { [defaultModeId()]: profile?.score || 0 },
+      pendingReview: (pendingRuns || []).map(r => ({
+        runId: r.id,
+        mode: r.mode || defaultModeId(),
+        score: r.score,
+        submittedAt: r.created_at
+      }))
     });
     
   } catch (error) {
-    console.error("User score fetch error:", error);
-    return res.status(500).json({ error: "Internal server error" });
+    req.log.error("User score fetch error", { err: error });
+    return sendError(res, "INTERNAL_ERROR");
   }
 });
 
-router.get("/leaderboard", generalLimiter, async (req, res) => {
+router.get("/leaderboard", generalLimiter, validateRequest(schemas.leaderboard), async (req, res) => {
   try {
-    const { data: userData, error: userError } = await supabaseBase
-      .from("USER_PROFILES")
-      .select("user_name, score, last_updated")
-      .order("score", { ascending: false })
-      .limit(10);
-
-    if (userError) {
-      console.error("Leaderboard fetch error:", userError);
-      return res.status(500).json({ error: "Failed to fetch leaderboard" });
+    const window = req.query.window || "all";
+    const limit = Math.min(Number.parseInt(req.query.limit, 10) || 10, 100);
+
+    let auth = null;
+    if (req.query.around === "me") {
+      auth = await authenticateUser(req, res);
+      if (!auth) return;
     }
 
-    const leaderboard = userData?.map((u, i) => ({
-      rank: i + 1,
-      player: u.user_name || "Player",
-      score: u.score || 0,
-      lastUpdated: u.last_updated
-    })) || [];
+    if (auth) {
+      const radius = Math.min(Math.max(Number.parseInt(req.query.radius, 10) || 5, 0), 25);
+      const { data: me, error: meError } = await getLeaderboardEntry(window, auth.user.id);
+      if (meError) {
+        req.log.error("Leaderboard fetch error", { err: meError });
+        return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch leaderboard" });
+      }
+
+      const offset = me ? Math.max(0, me.rank - 1 - radius) : 0;
+      const { data: around, error: aroundError } = await getLeaderboardPage(window, {
+        offset,
+        limit: me ? me.rank - offset + radius : 1,
+      });
+      if (aroundError) {
+        req.log.error("Leaderboard fetch error", { err: aroundError });
+        return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch leaderboard" });
+      }
+
+      return res.json({
+        window,
+        me: me ? toPublicEntry(me) : null,
+        leaderboard: me ? around.entries.map(toPublicEntry) : [],
+        totalPlayers: around.total,
+        lastUpdated: new Date().toISOString()
+      });
+    }
+
+    let cursor = null;
+    if (req.query.cursor) {
+      cursor = decodeCursor(req.query.cursor);
+      if (!cursor) {
+        return sendError(res, "INVALID_CURSOR");
+      }
+    }
+
+    const { data: page, error: pageError } = await getLeaderboardPage(window, {
+      limit,
+      offset: Math.max(Number.parseInt(req.query.offset, 10) || 0, 0),
+      after: cursor,
+    });
+
+    if (pageError) {
+      req.log.error("Leaderboard fetch error", { err: pageError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch leaderboard" });
+    }
+
+    const hasMore = page.offset + limit < page.total;
 
     res.json({ 
-      leaderboard,
+      window,
+      leaderboard: page.entries.map(toPublicEntry),
+      pagination: {
+        limit,
+        offset: page.offset,
+        total: page.total,
+        nextCursor: hasMore && page.entries.length > 0 ? encodeCursor(page.entries[page.entries.length - 1]) : null
+      },
       lastUpdated: new Date().toISOString()
     });
   } catch (error) {
-    console.error("Leaderboard error:", error);
-    res.status(500).json({ error: "Failed to fetch leaderboard" });
+    req.log.error("Leaderboard error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch leaderboard" });
   }
 });
 
-// Cleanup interval for expired sessions (in-memory and Supabase)
-setInterval(async () => {
-  const now = Date.now();
-  let cleaned = 0;
-  
-  // Clean in-memory sessions
-  for (const [userId, session] of activeGameSessions.entries()) {
-    if (now - session.created > GAME_CONSTANTS.SESSION_TIMEOUT) {
-      activeGameSessions.delete(userId);
-      cleaned++;
+router.get("/leaderboard/stream", generalLimiter, async (req, res) => {
+  try {
+    await openLeaderboardStream(req, res);
+  } catch (error) {
+    req.log.error("Leaderboard stream error", { err: error });
+    if (!res.headersSent) {
+      sendError(res, "INTERNAL_ERROR", { message: "Failed to open leaderboard stream" });
     }
   }
+});
 
-  // Clean expired sessions in Supabase
-  const { error: deleteError } = await supabaseBase
-    .from("game_sessions")
-    .delete()
-    .lte("expires_at", new Date().toISOString());
-
-  if (deleteError) {
-    console.error("Failed to clean up expired sessions in Supabase:", deleteError);
-  }
+// Cleanup interval for expired sessions in storage. Cached and consumed
+// session keys expire on their own; this is best effort on serverless hosts.
+setInterval(async () => {
+  try {
+    const { error: deleteError } = await storage.sessions.deleteExpired();
 
-  if (cleaned > 0) {
-    console.log(`Cleaned up ${cleaned} expired game sessions`);
+    if (deleteError) {
+      gameLog.error("Failed to clean up expired sessions in storage", { err: deleteError });
+    }
+  } catch (error) {
+    gameLog.error("Session cleanup error", { err: error });
   }
-}, 5 * 60 * 1000); // Every 5 minutes
+}, 5 * 60 * 1000).unref(); // Every 5 minutes
 
 export default router;
\ No newline at end of file
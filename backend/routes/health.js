@@ -0,0 +1,79 @@
+import express from "express";
+import fs from "fs";
+import storage from "../storage/index.js";
+import kv from "../kv/index.js";
+import { getSessionStats } from "../lib/gameSessions.js";
+import { isDailyChallengeEnabled } from "../lib/dailyChallenge.js";
+
+const healthrouter = express.Router();
+
+const pkg = JSON.parse(fs.readFileSync(new URL("../package.json", import.meta.url), "utf8"));
+const BUILD_VERSION = process.env.BUILD_VERSION || process.env.VERCEL_GIT_COMMIT_SHA || pkg.version;
+const PING_TIMEOUT = 3000;
+
+function requiredEnv() {
+  const names = ["CLIENT_URL"];
+  if (storage.driver === "supabase") {
+    names.unshift("SUPABASE_URL", "SUPABASE_KEY", "SUPABASE_SERVICE_ROLE_KEY");
+  }
+  return names;
+}
+
+async function checkBackend(backend) {
+  const started = Date.now();
+  try {
+    const { error } = await Promise.race([
+      backend.ping(),
+      new Promise(resolve => setTimeout(
+        () => resolve({ error: { message: "Timed out" } }),
+        PING_TIMEOUT
+      ))
+    ]);
+    return {
+      ok: !error,
+      driver: backend.driver,
+      latencyMs: Date.now() - started,
+      error: error?.message
+    };
+  } catch (error) {
+    return { ok: false, driver: backend.driver, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+healthrouter.get("/health", (req, res) => {
+  res.json({
+    status: "ok",
+    version: BUILD_VERSION,
+    uptime: Math.round(process.uptime())
+  });
+});
+
+healthrouter.get("/ready", async (req, res) => {
+  try {
+    const missingEnv = requiredEnv().filter(name => !process.env[name]);
+    const [storageStatus, kvStatus] = await Promise.all([checkBackend(storage), checkBackend(kv)]);
+    const ready = missingEnv.length === 0 && storageStatus.ok && kvStatus.ok;
+
+    res.status(ready ? 200 : 503).json({
+      status: ready ? "ready" : "not_ready",
+      version: BUILD_VERSION,
+      uptime: Math.round(process.uptime()),
+      checks: {
+        env: { ok: missingEnv.length === 0, missing: missingEnv },
+        storage: storageStatus,
+        kv: kvStatus,
+        // Reported, not required: without its secret only daily mode is off.
+        dailyChallenge: isDailyChallengeEnabled()
+          ? { ok: true }
+          : { ok: false, error: "DAILY_CHALLENGE_SECRET is not set; daily mode is disabled" }
+      },
+      sessions: await getSessionStats(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    req.log.error("Readiness check error", { err: error });
+    res.status(503).json({ status: "not_ready", error: "Readiness check failed" });
+  }
+});
+
+export default healthrouter;
@@ -0,0 +1,28 @@
+import crypto from "crypto";
+import { METRICS_CONTENT_TYPE, renderMetrics } from "../lib/metrics.js";
+import { sendError } from "../errors/index.js";
+
+// /metrics is either served on its own internal port (METRICS_PORT, no auth)
+// or on the public app behind `Authorization: Bearer $METRICS_TOKEN`. With
+// neither configured it is not exposed at all.
+
+export function requireMetricsToken(req, res, next) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) {
+    return sendError(res, "NOT_FOUND");
+  }
+
+  const provided = (req.headers.authorization || "").split(" ")[1] || "";
+  const a = crypto.createHash("sha256").update(provided).digest();
+  const b = crypto.createHash("sha256").update(expected).digest();
+
+  if (!crypto.timingSafeEqual(a, b)) {
+    return sendError(res, "AUTH_REQUIRED");
+  }
+
+  next();
+}
+
+export function serveMetrics(req, res) {
+  res.set("Content-Type", METRICS_CONTENT_TYPE).send(renderMetrics());
+}
@@ -0,0 +1,11 @@
+import express from "express";
+import { generalLimiter } from "../lib/rateLimits.js";
+import { getOpenApiDocument } from "../lib/openapi.js";
+
+const openapirouter = express.Router();
+
+openapirouter.get("/", generalLimiter, (req, res) => {
+  res.json(getOpenApiDocument());
+});
+
+export default openapirouter;
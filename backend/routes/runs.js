@@ -0,0 +1,83 @@
+import express from "express";
+import { authenticateUser } from "../lib/authenticate.js";
+import { generalLimiter } from "../lib/rateLimits.js";
+import { parsePagination } from "../lib/pagination.js";
+import { validateRequest } from "../lib/validation.js";
+import * as schemas from "../schemas/runs.js";
+import { sendError } from "../errors/index.js";
+
+const runsrouter = express.Router();
+
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function summarizeRuns(runs) {
+  const scores = runs.map(r => r.score || 0);
+  const perDay = new Map();
+  for (const run of runs) {
+    const day = run.created_at.slice(0, 10);
+    perDay.set(day, (perDay.get(day) || 0) + 1);
+  }
+
+  return {
+    totalRuns: runs.length,
+    bestScore: scores.length ? Math.max(...scores) : 0,
+    averageScore: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0,
+    medianScore: median(scores),
+    totalPlayTime: runs.reduce((total, r) => total + (r.duration || 0), 0),
+    runsPerDay: [...perDay.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([date, count]) => ({ date, runs: count })),
+  };
+}
+
+runsrouter.get("/me", generalLimiter, validateRequest(schemas.myRuns), async (req, res) => {
+  try {
+    const auth = await authenticateUser(req, res);
+    if (!auth) return;
+
+    const { user, store } = auth;
+    const { limit, offset } = parsePagination(req.query);
+
+    const { data: runs, count, error: listError } = await store.runs.listByUser(user.id, { limit, offset });
+    if (listError) {
+      req.log.error("Runs fetch error", { err: listError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch runs" });
+    }
+
+    const { data: allRuns, error: statsError } = await store.runs.listAllByUser(user.id);
+    if (statsError) {
+      req.log.error("Run stats fetch error", { err: statsError });
+      return sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch runs" });
+    }
+
+    res.json({
+      runs: (runs || []).map(r => ({
+        id: r.id,
+        score: r.score,
+        duration: r.duration,
+        jumpCount: r.jump_count,
+        obstacleCount: r.obstacle_count,
+        clientVersion: r.client_version,
+        configVersion: r.config_version ?? null,
+        mode: r.mode || "classic",
+        challengeDate: r.challenge_date || null,
+        status: r.status,
+        startedAt: r.started_at,
+        endedAt: r.ended_at,
+        createdAt: r.created_at
+      })),
+      pagination: { limit, offset, total: count ?? 0 },
+      summary: summarizeRuns(allRuns || [])
+    });
+  } catch (error) {
+    req.log.error("Runs error", { err: error });
+    sendError(res, "INTERNAL_ERROR", { message: "Failed to fetch runs" });
+  }
+});
+
+export default runsrouter;
@@ -0,0 +1,49 @@
+export const myAchievements = {
+  method: "get",
+  path: "/api/achievements/me",
+  summary: "Every achievement with the caller's unlock state",
+  tags: ["achievements"],
+  auth: "user",
+  errors: [429],
+  responses: {
+    200: {
+      description: "Unlock time and, for lifetime achievements, progress",
+      schema: {
+        type: "object",
+        properties: {
+          achievements: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                name: { type: "string" },
+                description: { type: "string" },
+                scope: { type: "string", enum: ["run", "lifetime"] },
+                unlocked: { type: "boolean" },
+                unlockedAt: { type: ["string", "null"], format: "date-time" },
+                progress: {
+                  anyOf: [
+                    {
+                      type: "object",
+                      properties: { current: { type: "number" }, target: { type: "number" } },
+                      required: ["current", "target"],
+                    },
+                    { type: "null" },
+                  ],
+                },
+              },
+              required: ["id", "name", "description", "scope", "unlocked", "unlockedAt", "progress"],
+            },
+          },
+          summary: {
+            type: "object",
+            properties: { unlocked: { type: "integer" }, total: { type: "integer" } },
+            required: ["unlocked", "total"],
+          },
+        },
+        required: ["achievements", "summary"],
+      },
+    },
+  },
+};
@@ -0,0 +1,236 @@
+import { Pagination, PaginationQuery, Submission, UnlockedAchievement, Username } from "./common.js";
+
+const tags = ["admin"];
+
+const RunParams = {
+  type: "object",
+  properties: { runId: { type: "string", minLength: 1 } },
+  required: ["runId"],
+};
+
+const UserParams = {
+  type: "object",
+  properties: { userId: { type: "string", minLength: 1 } },
+  required: ["userId"],
+};
+
+const Reason = {
+  type: "object",
+  properties: { reason: { type: "string", description: "Stored up to 500 characters" } },
+};
+
+function runResult(description, extra = {}) {
+  return {
+    description,
+    schema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        runId: { type: "string" },
+        status: { type: "string" },
+        ...extra,
+      },
+      required: ["success", "runId", "status"],
+    },
+  };
+}
+
+function userResult(description, extra = {}) {
+  return {
+    description,
+    schema: {
+      type: "object",
+      properties: {
+        success: { type: "boolean" },
+        userId: { type: "string" },
+        ...extra,
+      },
+      required: ["success", "userId", ...Object.keys(extra)],
+    },
+  };
+}
+
+export const reviews = {
+  method: "get",
+  path: "/api/admin/reviews",
+  summary: "Runs held for review, newest first",
+  tags,
+  auth: "admin",
+  errors: [429],
+  query: PaginationQuery,
+  responses: {
+    200: {
+      description: "A page of pending runs",
+      schema: {
+        type: "object",
+        properties: { reviews: { type: "array", items: Submission }, pagination: Pagination },
+        required: ["reviews", "pagination"],
+      },
+    },
+  },
+};
+
+export const approveReview = {
+  method: "post",
+  path: "/api/admin/reviews/:runId/approve",
+  summary: "Approve a held run",
+  tags,
+  auth: "admin",
+  errors: [404, 409, 429],
+  params: RunParams,
+  responses: {
+    200: runResult("Run approved and counted", {
+      newHighScore: { type: "boolean" },
+      previousHighScore: { type: ["integer", "null"] },
+      newAchievements: { type: "array", items: UnlockedAchievement },
+    }),
+  },
+};
+
+export const rejectReview = {
+  method: "post",
+  path: "/api/admin/reviews/:runId/reject",
+  summary: "Reject a held run",
+  tags,
+  auth: "admin",
+  errors: [404, 409, 429],
+  params: RunParams,
+  responses: {
+    200: runResult("Run rejected"),
+  },
+};
+
+export const submissions = {
+  method: "get",
+  path: "/api/admin/submissions",
+  summary: "Recent runs of every status, newest first",
+  tags,
+  auth: "admin",
+  errors: [429],
+  query: {
+    type: "object",
+    properties: {
+      ...PaginationQuery.properties,
+      userId: { type: "string", description: "Only this player's runs" },
+    },
+  },
+  responses: {
+    200: {
+      description: "A page of runs",
+      schema: {
+        type: "object",
+        properties: { submissions: { type: "array", items: Submission }, pagination: Pagination },
+        required: ["submissions", "pagination"],
+      },
+    },
+  },
+};
+
+export const removeRun = {
+  method: "delete",
+  path: "/api/admin/runs/:runId",
+  summary: "Remove a run and recompute the player's best score",
+  tags,
+  auth: "admin",
+  errors: [404, 409, 429],
+  params: RunParams,
+  body: Reason,
+  responses: {
+    200: runResult("Run removed", { bestScore: { type: ["integer", "null"] } }),
+  },
+};
+
+export const restoreRun = {
+  method: "post",
+  path: "/api/admin/runs/:runId/restore",
+  summary: "Restore a removed run",
+  tags,
+  auth: "admin",
+  errors: [404, 409, 429],
+  params: RunParams,
+  responses: {
+    200: runResult("Run restored as approved", { newHighScore: { type: "boolean" } }),
+  },
+};
+
+export const banUser = {
+  method: "post",
+  path: "/api/admin/users/:userId/ban",
+  summary: "Suspend a player",
+  tags,
+  auth: "admin",
+  errors: [404, 429],
+  params: UserParams,
+  body: Reason,
+  responses: {
+    200: userResult("Player banned", { banned: { type: "boolean" } }),
+  },
+};
+
+export const unbanUser = {
+  method: "post",
+  path: "/api/admin/users/:userId/unban",
+  summary: "Lift a suspension",
+  tags,
+  auth: "admin",
+  errors: [404, 429],
+  params: UserParams,
+  responses: {
+    200: userResult("Player unbanned", { banned: { type: "boolean" } }),
+  },
+};
+
+export const renameUser = {
+  method: "patch",
+  path: "/api/admin/users/:userId/username",
+  summary: "Rename a player",
+  tags,
+  auth: "admin",
+  errors: [404, 429],
+  params: UserParams,
+  body: {
+    type: "object",
+    properties: { username: Username },
+    required: ["username"],
+  },
+  responses: {
+    200: userResult("Player renamed", { username: { type: "string" } }),
+  },
+};
+
+export const auditLog = {
+  method: "get",
+  path: "/api/admin/audit",
+  summary: "Every admin action, newest first",
+  tags,
+  auth: "admin",
+  errors: [429],
+  query: PaginationQuery,
+  responses: {
+    200: {
+      description: "A page of audit entries",
+      schema: {
+        type: "object",
+        properties: {
+          entries: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                adminId: { type: "string" },
+                action: { type: "string" },
+                targetUserId: { type: ["string", "null"] },
+                targetRunId: { type: ["string", "null"] },
+                details: { type: "object" },
+                createdAt: { type: "string", format: "date-time" },
+              },
+              required: ["adminId", "action", "createdAt"],
+            },
+          },
+          pagination: Pagination,
+        },
+        required: ["entries", "pagination"],
+      },
+    },
+  },
+};
@@ -0,0 +1,278 @@
+import { Email, Password, Session, Success, Username } from "./common.js";
+
+const tags = ["auth"];
+
+const User = {
+  type: "object",
+  description: "The auth provider's user record",
+  properties: {
+    id: { type: "string" },
+    email: { type: "string" },
+  },
+  required: ["id"],
+};
+
+// `pass` is the original field name for the new password; `password` is
+// preferred so every auth route uses the same name.
+const Registration = {
+  type: "object",
+  properties: {
+    email: Email,
+    password: Password,
+    pass: { ...Password, deprecated: true, description: "Use `password`" },
+    username: Username,
+  },
+  required: ["email", "username"],
+  anyOf: [{ required: ["password"] }, { required: ["pass"] }],
+};
+
+export const signup = {
+  method: "post",
+  path: "/api/auth/signup",
+  summary: "Create an account",
+  tags,
+  errors: [429],
+  body: Registration,
+  responses: {
+    200: { description: "Account created; the email must be verified before logging in", schema: { type: "object", properties: { user: User }, required: ["user"] } },
+  },
+};
+
+export const login = {
+  method: "post",
+  path: "/api/auth/login",
+  summary: "Log in with email and password",
+  tags,
+  errors: [401, 429],
+  body: {
+    type: "object",
+    properties: { email: Email, password: Password },
+    required: ["email", "password"],
+  },
+  responses: {
+    200: { description: "Token pair for the new session", schema: Session },
+  },
+};
+
+export const guest = {
+  method: "post",
+  path: "/api/auth/guest",
+  summary: "Create an anonymous guest account",
+  tags,
+  errors: [429],
+  responses: {
+    200: { description: "Token pair for the guest session", schema: Session },
+  },
+};
+
+export const upgrade = {
+  method: "post",
+  path: "/api/auth/upgrade",
+  summary: "Turn the caller's guest account into a registered one",
+  tags,
+  auth: "user",
+  errors: [429],
+  body: Registration,
+  responses: {
+    200: { description: "Account upgraded; refresh the token afterwards", schema: { type: "object", properties: { user: User }, required: ["user"] } },
+  },
+};
+
+export const refresh = {
+  method: "post",
+  path: "/api/auth/refresh",
+  summary: "Exchange a refresh token for a new token pair",
+  tags,
+  errors: [401, 429],
+  body: {
+    type: "object",
+    properties: { refreshToken: { type: "string", minLength: 1 } },
+    required: ["refreshToken"],
+  },
+  responses: {
+    200: { description: "New token pair; the old refresh token is spent", schema: Session },
+  },
+};
+
+export const logout = {
+  method: "post",
+  path: "/api/auth/logout",
+  summary: "Revoke the session of the bearer token",
+  tags,
+  auth: "user",
+  errors: [429],
+  responses: {
+    200: { description: "Session revoked", schema: Success },
+  },
+};
+
+export const forgotPassword = {
+  method: "post",
+  path: "/api/auth/forgot-password",
+  summary: "Send a password reset link",
+  tags,
+  errors: [429],
+  body: {
+    type: "object",
+    properties: { email: Email },
+    required: ["email"],
+  },
+  responses: {
+    200: { description: "Same answer whether or not the account exists", schema: Success },
+  },
+};
+
+export const resetPassword = {
+  method: "post",
+  path: "/api/auth/reset-password",
+  summary: "Set a new password with a recovery token",
+  tags,
+  errors: [429],
+  body: {
+    type: "object",
+    properties: {
+      token: { type: "string", minLength: 1, description: "Token hash from the reset link" },
+      password: Password,
+    },
+    required: ["token", "password"],
+  },
+  responses: {
+    200: { description: "Password changed and every session signed out", schema: Success },
+  },
+};
+
+export const resendVerification = {
+  method: "post",
+  path: "/api/auth/resend-verification",
+  summary: "Resend the signup verification email",
+  tags,
+  errors: [429],
+  body: {
+    type: "object",
+    properties: { email: Email },
+    required: ["email"],
+  },
+  responses: {
+    200: { description: "Same answer whether or not the account exists", schema: Success },
+  },
+};
+
+export const verify = {
+  method: "post",
+  path: "/api/auth/verify",
+  summary: "Check a bearer token",
+  tags,
+  auth: "user",
+  responses: {
+    200: {
+      description: "The token is valid",
+      schema: {
+        type: "object",
+        properties: { valid: { type: "boolean" }, user_id: { type: "string" } },
+        required: ["valid", "user_id"],
+      },
+    },
+  },
+};
+
+export const changeUsername = {
+  method: "patch",
+  path: "/api/auth/username",
+  summary: "Change the caller's username, at most once every 30 days",
+  tags,
+  auth: "user",
+  errors: [429],
+  body: {
+    type: "object",
+    properties: { username: Username },
+    required: ["username"],
+  },
+  responses: {
+    200: {
+      description: "Username changed",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          username: { type: "string" },
+          previousUsername: { type: "string" },
+        },
+        required: ["success", "username", "previousUsername"],
+      },
+    },
+  },
+};
+
+export const exportAccount = {
+  method: "get",
+  path: "/api/auth/export",
+  summary: "Download everything stored about the caller",
+  tags,
+  auth: "user",
+  errors: [429],
+  responses: {
+    200: {
+      description: "JSON archive, sent as an attachment. Rows are as stored, without session secrets",
+      schema: {
+        type: "object",
+        properties: {
+          exportedAt: { type: "string", format: "date-time" },
+          account: {
+            type: "object",
+            properties: {
+              id: { type: "string" },
+              email: { type: ["string", "null"] },
+              guest: { type: "boolean" },
+              username: { type: ["string", "null"] },
+              createdAt: { type: "string", format: "date-time" },
+            },
+            required: ["id", "email", "guest", "username"],
+          },
+          profile: { type: ["object", "null"], description: "USER_PROFILES row" },
+          bestScores: { type: "array", items: { type: "object" }, description: "mode_best_scores rows" },
+          runs: { type: "array", items: { type: "object" } },
+          sessions: { type: "array", items: { type: "object" }, description: "game_sessions rows" },
+          achievements: { type: "array", items: { type: "object" } },
+          dailyResults: { type: "array", items: { type: "object" }, description: "daily_challenge_results rows" },
+        },
+        required: ["exportedAt", "account", "profile", "bestScores", "runs", "sessions", "achievements", "dailyResults"],
+      },
+    },
+  },
+};
+
+export const deleteAccount = {
+  method: "delete",
+  path: "/api/auth/account",
+  summary: "Delete the caller's account and everything stored about it",
+  tags,
+  auth: "user",
+  errors: [403, 429],
+  body: {
+    type: "object",
+    properties: {
+      password: { ...Password, description: "Required unless the caller is a guest" },
+    },
+  },
+  responses: {
+    200: { description: "Account, profile, sessions, runs, best scores, achievements and daily results deleted", schema: Success },
+  },
+};
+
+export const checkUsername = {
+  method: "get",
+  path: "/api/auth/check-username/:username",
+  summary: "Check whether a username is free",
+  tags,
+  params: {
+    type: "object",
+    properties: { username: Username },
+    required: ["username"],
+  },
+  responses: {
+    200: {
+      description: "Availability of the normalized name",
+      schema: { type: "object", properties: { available: { type: "boolean" } }, required: ["available"] },
+    },
+  },
+};
@@ -0,0 +1,133 @@
+// Shared schemas. lib/openapi.js publishes each of these under
+// components.schemas and references it wherever a route uses it.
+
+export const ApiError = {
+  type: "object",
+  description: "Envelope of every failure",
+  properties: {
+    error: { type: "string", description: "Human-readable message" },
+    code: { type: "string", description: "Stable code from errors/catalog.json, e.g. SESSION_EXPIRED" },
+    details: { type: "object", description: "Code-specific extra data" },
+    requestId: { type: "string" },
+  },
+  required: ["error", "code", "requestId"],
+};
+
+export const ValidationError = {
+  type: "object",
+  properties: {
+    error: { type: "string", example: "Invalid request" },
+    code: { type: "string", enum: ["VALIDATION_FAILED"] },
+    details: {
+      type: "object",
+      properties: {
+        fields: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: {
+              field: { type: "string", example: "body.gameSession.events[3].seq" },
+              message: { type: "string", example: "must be an integer" },
+            },
+            required: ["field", "message"],
+          },
+        },
+      },
+      required: ["fields"],
+    },
+    requestId: { type: "string" },
+  },
+  required: ["error", "code", "details", "requestId"],
+};
+
+export const Pagination = {
+  type: "object",
+  properties: {
+    limit: { type: "integer" },
+    offset: { type: "integer" },
+    total: { type: "integer" },
+  },
+  required: ["limit", "offset", "total"],
+};
+
+export const PaginationQuery = {
+  type: "object",
+  properties: {
+    limit: { type: "integer", minimum: 1, description: "Page size, at most 100" },
+    offset: { type: "integer", minimum: 0 },
+  },
+};
+
+export const Username = {
+  type: "string",
+  description: "3 to 20 letters, numbers, underscores or hyphens",
+};
+
+export const Email = { type: "string", format: "email", maxLength: 254 };
+
+export const Password = { type: "string", minLength: 1, maxLength: 72 };
+
+export const Session = {
+  type: "object",
+  properties: {
+    username: { type: ["string", "null"] },
+    guest: { type: "boolean" },
+    token: { type: "string" },
+    refreshToken: { type: "string" },
+    expiresAt: { type: "integer", description: "Unix seconds" },
+  },
+  required: ["username", "guest", "token", "refreshToken", "expiresAt"],
+};
+
+export const Success = {
+  type: "object",
+  properties: {
+    success: { type: "boolean" },
+    message: { type: "string" },
+  },
+  required: ["success"],
+};
+
+export const LeaderboardEntry = {
+  type: "object",
+  properties: {
+    rank: { type: "integer" },
+    player: { type: "string" },
+    score: { type: "integer" },
+    lastUpdated: { type: "string", format: "date-time" },
+  },
+  required: ["rank", "player", "score", "lastUpdated"],
+};
+
+export const Physics = {
+  type: "object",
+  description: "Replay parameters the client must simulate with",
+  additionalProperties: { type: "number" },
+};
+
+export const UnlockedAchievement = {
+  type: "object",
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    description: { type: "string" },
+    unlockedAt: { type: "string", format: "date-time" },
+  },
+  required: ["id", "name", "description", "unlockedAt"],
+};
+
+export const Submission = {
+  type: "object",
+  properties: {
+    runId: { type: "string" },
+    userId: { type: "string" },
+    score: { type: "integer" },
+    duration: { type: "number" },
+    status: { type: "string", enum: ["accepted", "pending", "approved", "rejected", "removed"] },
+    suspicion: { type: ["number", "null"] },
+    flaggedBy: { type: ["array", "null"], items: { type: "string" } },
+    validationReport: { type: ["array", "null"], items: { type: "object" } },
+    submittedAt: { type: "string", format: "date-time" },
+  },
+  required: ["runId", "userId", "score", "status", "submittedAt"],
+};
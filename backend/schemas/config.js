@@ -0,0 +1,67 @@
+import { Physics } from "./common.js";
+
+const Limits = {
+  type: "object",
+  description: "Validation thresholds; null when the rule is disabled",
+  properties: {
+    minPointsPerSecond: { type: ["number", "null"] },
+    maxPointsPerSecond: { type: ["number", "null"] },
+    maxScore: { type: ["integer", "null"] },
+    minDuration: { type: ["number", "null"] },
+    maxDuration: { type: ["number", "null"] },
+  },
+};
+
+export const clientConfig = {
+  method: "get",
+  path: "/api/config",
+  summary: "Public gameplay parameters and their version",
+  tags: ["config"],
+  errors: [429],
+  responses: {
+    200: {
+      description: "`configVersion` changes whenever any parameter does; also sent as the ETag",
+      schema: {
+        type: "object",
+        properties: {
+          configVersion: { type: "string" },
+          minClientVersion: { type: ["string", "null"] },
+          defaultMode: { type: "string" },
+          modes: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                name: { type: "string" },
+                description: { type: "string" },
+                dailyChallenge: { type: "boolean" },
+                physics: Physics,
+                pointsPerSecond: { type: "number" },
+                limits: Limits,
+              },
+              required: ["id", "name", "dailyChallenge", "physics", "pointsPerSecond", "limits"],
+            },
+          },
+          session: {
+            type: "object",
+            properties: {
+              timeout: { type: "integer" },
+              maxDuration: { type: "integer" },
+              cooldown: { type: "integer" },
+            },
+          },
+          dailyChallenge: {
+            type: "object",
+            properties: {
+              attemptsAllowed: { type: "integer" },
+              gracePeriod: { type: "integer" },
+            },
+          },
+          serverTime: { type: "integer", description: "Unix milliseconds" },
+        },
+        required: ["configVersion", "minClientVersion", "defaultMode", "modes", "session", "dailyChallenge"],
+      },
+    },
+  },
+};
@@ -0,0 +1,66 @@
+import { LeaderboardEntry, Pagination, PaginationQuery, Physics } from "./common.js";
+
+const tags = ["daily"];
+
+export const dailyChallenge = {
+  method: "get",
+  path: "/api/daily",
+  summary: "Today's challenge seed and modifiers",
+  tags,
+  errors: [429, 503],
+  responses: {
+    200: {
+      description: "The challenge for the current UTC day",
+      schema: {
+        type: "object",
+        properties: {
+          date: { type: "string", format: "date" },
+          seed: { type: "integer" },
+          modifiers: {
+            type: "object",
+            properties: {
+              speedMultiplier: { type: "number" },
+              obstacleDensity: { type: "number" },
+            },
+          },
+          physics: Physics,
+          attemptsAllowed: { type: "integer" },
+          endsAt: { type: "string", format: "date-time" },
+          serverTime: { type: "integer", description: "Unix milliseconds" },
+        },
+        required: ["date", "seed", "modifiers", "physics", "attemptsAllowed", "endsAt"],
+      },
+    },
+  },
+};
+
+export const dailyLeaderboard = {
+  method: "get",
+  path: "/api/daily/leaderboard",
+  summary: "A day's challenge board",
+  tags,
+  errors: [429],
+  query: {
+    type: "object",
+    properties: {
+      ...PaginationQuery.properties,
+      date: { type: "string", format: "date", description: "UTC date, today by default" },
+    },
+  },
+  responses: {
+    200: {
+      description: "A page of the board; `archived` once the day is closed",
+      schema: {
+        type: "object",
+        properties: {
+          date: { type: "string", format: "date" },
+          archived: { type: "boolean" },
+          leaderboard: { type: "array", items: LeaderboardEntry },
+          pagination: Pagination,
+          lastUpdated: { type: "string", format: "date-time" },
+        },
+        required: ["date", "archived", "leaderboard", "pagination"],
+      },
+    },
+  },
+};
@@ -0,0 +1,305 @@
+import { LEADERBOARD_WINDOWS } from "../lib/leaderboard.js";
+import { GAME_CONSTANTS } from "../lib/gameConfig.js";
+import { COMPACT_RUN_TYPE } from "../lib/compactEvents.js";
+import { LeaderboardEntry, Pagination, Physics, UnlockedAchievement } from "./common.js";
+
+const tags = ["game"];
+
+const ClientVersion = {
+  type: "string",
+  maxLength: 32,
+  description: "Client build, e.g. 1.4.0. May be sent as X-Client-Version instead",
+};
+
+const Timestamp = {
+  type: ["string", "number"],
+  description: "ISO 8601 string or Unix milliseconds",
+};
+
+export const GameEvent = {
+  type: "object",
+  description: "One entry of the hash-chained event log. Extra fields are allowed and covered by the hash",
+  properties: {
+    seq: { type: "integer", minimum: 0 },
+    type: {
+      type: "string",
+      minLength: 1,
+      maxLength: 32,
+      description: "game_start, jump, obstacle_spawn, collision, game_over or integrity_violation",
+    },
+    timestamp: { type: "number", description: "Unix milliseconds" },
+    hash: { type: "string", pattern: "^[0-9a-f]{64}$" },
+  },
+  required: ["seq", "type", "timestamp", "hash"],
+};
+
+export const ReplayInput = {
+  type: "object",
+  properties: {
+    type: { type: "string", enum: ["jump"] },
+    frame: { type: "integer", minimum: 0 },
+  },
+  required: ["type", "frame"],
+};
+
+export const GameSession = {
+  type: "object",
+  properties: {
+    startTime: Timestamp,
+    endTime: Timestamp,
+    duration: { type: "number", minimum: 0, description: "Milliseconds" },
+    events: { type: "array", minItems: 1, items: GameEvent, description: "The whole log, or only the events after the last checkpoint" },
+    chainHead: { type: "string", description: "Hash of the last event" },
+    inputs: { type: "array", items: ReplayInput, description: "Inputs not already sent in a checkpoint" },
+  },
+  required: ["startTime", "endTime", "duration", "events"],
+};
+
+export const createSession = {
+  method: "post",
+  path: "/api/create-session",
+  summary: "Start a game session",
+  tags,
+  auth: "user",
+  errors: [403, 426, 429, 503],
+  body: {
+    type: "object",
+    properties: {
+      mode: { type: "string", description: "A mode id from GET /api/config; the default mode when omitted" },
+      clientVersion: ClientVersion,
+    },
+  },
+  responses: {
+    200: {
+      description: "Session to play and submit",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          sessionKey: { type: "string" },
+          seed: { type: "integer" },
+          secret: { type: "string", description: "HMAC key for the event log" },
+          mode: { type: "string" },
+          configVersion: { type: "string" },
+          physics: Physics,
+          challenge: {
+            type: "object",
+            description: "Only for daily challenge sessions",
+            properties: {
+              date: { type: "string", format: "date" },
+              modifiers: { type: "object", additionalProperties: { type: "number" } },
+              attemptsUsed: { type: "integer" },
+              attemptsAllowed: { type: "integer" },
+              endsAt: { type: "string", format: "date-time" },
+            },
+          },
+          maxDuration: { type: "integer", description: "Milliseconds" },
+          serverTime: { type: "integer", description: "Unix milliseconds" },
+        },
+        required: ["success", "sessionKey", "seed", "secret", "mode", "configVersion", "physics"],
+      },
+    },
+  },
+};
+
+export const checkpoint = {
+  method: "post",
+  path: "/api/sessions/:sessionKey/checkpoint",
+  summary: "Upload the next batch of a running game's event log",
+  tags,
+  auth: "user",
+  errors: [403, 409, 426, 429],
+  params: {
+    type: "object",
+    properties: { sessionKey: { type: "string", minLength: 1, maxLength: 256 } },
+    required: ["sessionKey"],
+  },
+  body: {
+    type: "object",
+    properties: {
+      events: {
+        type: "array",
+        minItems: 1,
+        maxItems: GAME_CONSTANTS.CHECKPOINT_MAX_EVENTS,
+        items: GameEvent,
+        description: "Continues the chain at `nextSeq`; must not contain the event that ends the run",
+      },
+      inputs: { type: "array", items: ReplayInput, description: "Replay inputs since the last checkpoint" },
+      clientVersion: ClientVersion,
+    },
+    required: ["events"],
+  },
+  responses: {
+    200: {
+      description: "Batch accepted, or already accepted before",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          nextSeq: { type: "integer", description: "`seq` of the next event to upload" },
+          chainHead: { type: "string", description: "Hash the next event chains off" },
+        },
+        required: ["success", "nextSeq", "chainHead"],
+      },
+    },
+  },
+};
+
+export const scoreUpdate = {
+  method: "post",
+  path: "/api/scoreupdate",
+  summary: "Submit a finished run",
+  tags,
+  auth: "user",
+  errors: [403, 426, 429],
+  body: {
+    type: "object",
+    properties: {
+      score: { type: "integer", minimum: 0 },
+      sessionKey: { type: "string", minLength: 1, maxLength: 256 },
+      gameSession: GameSession,
+      clientVersion: ClientVersion,
+    },
+    required: ["score", "sessionKey", "gameSession"],
+  },
+  bodyEncodings: {
+    [COMPACT_RUN_TYPE]: {
+      type: "string",
+      format: "binary",
+      description: "The same body with delta-encoded events; see lib/compactEvents.js. Malformed input gets INVALID_EVENT_ENCODING",
+    },
+  },
+  responses: {
+    200: {
+      description: "Run accepted. `success` is false, with code SCORE_NOT_IMPROVED, when it didn't beat the best score for its mode; daily runs report the day's `bestScore` and `rank`",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          code: { type: "string", enum: ["SCORE_NOT_IMPROVED"], description: "Set when `success` is false" },
+          message: { type: "string" },
+          mode: { type: "string" },
+          submittedScore: { type: "integer" },
+          newHighScore: { type: "integer" },
+          previousHighScore: { type: "integer" },
+          currentHighScore: { type: "integer" },
+          improvement: { type: "integer" },
+          challengeDate: { type: "string", format: "date" },
+          bestScore: { type: "integer" },
+          rank: { type: ["integer", "null"] },
+          newAchievements: { type: "array", items: UnlockedAchievement },
+        },
+        required: ["success"],
+      },
+    },
+    202: {
+      description: "Run held for moderator review",
+      schema: {
+        type: "object",
+        properties: {
+          success: { type: "boolean" },
+          pendingReview: { type: "boolean" },
+          runId: { type: "string" },
+          submittedScore: { type: "integer" },
+          message: { type: "string" },
+        },
+        required: ["success", "pendingReview", "runId", "submittedScore"],
+      },
+    },
+  },
+};
+
+export const userScore = {
+  method: "get",
+  path: "/api/userscore",
+  summary: "The caller's best scores and runs awaiting review",
+  tags,
+  auth: "user",
+  errors: [429],
+  responses: {
+    200: {
+      description: "Best score of the default mode, every mode's best and pending runs",
+      schema: {
+        type: "object",
+        properties: {
+          score: { type: "integer" },
+          lastUpdated: { type: ["string", "null"], format: "date-time" },
+          bestScores: { type: "object", additionalProperties: { type: "integer" } },
+          pendingReview: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                runId: { type: "string" },
+                mode: { type: "string" },
+                score: { type: "integer" },
+                submittedAt: { type: "string", format: "date-time" },
+              },
+              required: ["runId", "mode", "score", "submittedAt"],
+            },
+          },
+        },
+        required: ["score", "bestScores", "pendingReview"],
+      },
+    },
+  },
+};
+
+export const leaderboard = {
+  method: "get",
+  path: "/api/leaderboard",
+  summary: "Ranked best scores of the default mode",
+  tags,
+  auth: "optional",
+  errors: [429],
+  query: {
+    type: "object",
+    properties: {
+      window: { type: "string", enum: LEADERBOARD_WINDOWS, description: "Defaults to all" },
+      limit: { type: "integer", minimum: 1, description: "Defaults to 10, at most 100" },
+      offset: { type: "integer", minimum: 0 },
+      cursor: { type: "string", description: "nextCursor of the previous page" },
+      around: { type: "string", enum: ["me"], description: "The caller's rank and neighbours; requires a bearer token" },
+      radius: { type: "integer", minimum: 0, description: "Neighbours on each side with around=me; defaults to 5, at most 25" },
+    },
+  },
+  responses: {
+    200: {
+      description: "A page of the board, or the caller's neighbourhood with around=me",
+      schema: {
+        type: "object",
+        properties: {
+          window: { type: "string", enum: LEADERBOARD_WINDOWS },
+          leaderboard: { type: "array", items: LeaderboardEntry },
+          me: { anyOf: [LeaderboardEntry, { type: "null" }] },
+          totalPlayers: { type: "integer" },
+          pagination: {
+            type: "object",
+            properties: {
+              ...Pagination.properties,
+              nextCursor: { type: ["string", "null"] },
+            },
+            required: [...Pagination.required, "nextCursor"],
+          },
+          lastUpdated: { type: "string", format: "date-time" },
+        },
+        required: ["window", "leaderboard", "lastUpdated"],
+      },
+    },
+  },
+};
+
+export const leaderboardStream = {
+  method: "get",
+  path: "/api/leaderboard/stream",
+  summary: "Live top 10 as Server-Sent Events",
+  tags,
+  errors: [429],
+  responses: {
+    200: {
+      description: "A `snapshot` event, then `update` events whenever the top 10 changes",
+      contentType: "text/event-stream",
+      schema: { type: "string" },
+    },
+  },
+};
@@ -0,0 +1,46 @@
+const tags = ["health"];
+
+export const health = {
+  method: "get",
+  path: "/health",
+  summary: "Liveness",
+  tags,
+  responses: {
+    200: {
+      description: "The process is up",
+      schema: {
+        type: "object",
+        properties: {
+          status: { type: "string" },
+          version: { type: "string" },
+          uptime: { type: "integer", description: "Seconds" },
+        },
+        required: ["status", "version", "uptime"],
+      },
+    },
+  },
+};
+
+const Readiness = {
+  type: "object",
+  properties: {
+    status: { type: "string", enum: ["ready", "not_ready"] },
+    version: { type: "string" },
+    uptime: { type: "integer" },
+    checks: { type: "object" },
+    sessions: { type: "object" },
+    timestamp: { type: "string", format: "date-time" },
+  },
+  required: ["status"],
+};
+
+export const ready = {
+  method: "get",
+  path: "/ready",
+  summary: "Readiness: environment, storage and key-value store",
+  tags,
+  responses: {
+    200: { description: "Ready to serve traffic", schema: Readiness },
+    503: { description: "A check failed", schema: Readiness },
+  },
+};
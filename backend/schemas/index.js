@@ -0,0 +1,27 @@
+import * as common from "./common.js";
+import * as health from "./health.js";
+import * as auth from "./auth.js";
+import * as game from "./game.js";
+import * as runs from "./runs.js";
+import * as achievements from "./achievements.js";
+import * as daily from "./daily.js";
+import * as config from "./config.js";
+import * as admin from "./admin.js";
+
+// Export names double as OpenAPI operation ids.
+function routesOf(module) {
+  return Object.entries(module)
+    .filter(([, spec]) => spec.method && spec.path)
+    .map(([operationId, spec]) => ({ operationId, ...spec }));
+}
+
+// Every documented route, in the order the API docs list them.
+export const routes = [health, auth, game, runs, achievements, daily, config, admin].flatMap(routesOf);
+
+// Named schemas published under components.schemas.
+export const components = {
+  ...common,
+  GameSession: game.GameSession,
+  GameEvent: game.GameEvent,
+  ReplayInput: game.ReplayInput,
+};
@@ -0,0 +1,63 @@
+import { Pagination, PaginationQuery } from "./common.js";
+
+export const myRuns = {
+  method: "get",
+  path: "/api/runs/me",
+  summary: "The caller's validated runs, newest first, with summary stats",
+  tags: ["runs"],
+  auth: "user",
+  errors: [429],
+  query: PaginationQuery,
+  responses: {
+    200: {
+      description: "A page of runs and stats over all of them",
+      schema: {
+        type: "object",
+        properties: {
+          runs: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                score: { type: "integer" },
+                duration: { type: "number" },
+                jumpCount: { type: "integer" },
+                obstacleCount: { type: "integer" },
+                clientVersion: { type: ["string", "null"] },
+                configVersion: { type: ["string", "null"] },
+                mode: { type: "string" },
+                challengeDate: { type: ["string", "null"], format: "date" },
+                status: { type: "string" },
+                startedAt: { type: "string", format: "date-time" },
+                endedAt: { type: "string", format: "date-time" },
+                createdAt: { type: "string", format: "date-time" },
+              },
+              required: ["id", "score", "mode", "status", "createdAt"],
+            },
+          },
+          pagination: Pagination,
+          summary: {
+            type: "object",
+            properties: {
+              totalRuns: { type: "integer" },
+              bestScore: { type: "integer" },
+              averageScore: { type: "integer" },
+              medianScore: { type: "number" },
+              totalPlayTime: { type: "number", description: "Milliseconds" },
+              runsPerDay: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: { date: { type: "string", format: "date" }, runs: { type: "integer" } },
+                  required: ["date", "runs"],
+                },
+              },
+            },
+          },
+        },
+        required: ["runs", "pagination", "summary"],
+      },
+    },
+  },
+};
@@ -1,19 +1,24 @@
 import express from "express";
 import "dotenv/config";
-import { createClient } from "@supabase/supabase-js";
 import cors from "cors";
 import helmet from "helmet";
-import morgan from "morgan";
 import router from "./routes/game.js";
 import authrouter from "./routes/auth.js";
+import runsrouter from "./routes/runs.js";
+import adminrouter from "./routes/admin.js";
+import achievementsrouter from "./routes/achievements.js";
+import dailyrouter from "./routes/daily.js";
+import configrouter from "./routes/config.js";
+import openapirouter from "./routes/openapi.js";
+import healthrouter from "./routes/health.js";
+import logger, { requestLogger, routerLogger } from "./lib/logger.js";
+import { metricsMiddleware } from "./lib/metrics.js";
+import { errorHandler, notFoundHandler } from "./errors/index.js";
+import { requireMetricsToken, serveMetrics } from "./routes/metrics.js";
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_KEY,
-);
 
 app.set('trust proxy', 1);
 
@@ -22,9 +27,11 @@ app.use(
   cors({
     origin: process.env.CLIENT_URL,
     credentials: true,
+    exposedHeaders: ["X-Request-Id"],
   }),
 );
-app.use(morgan("combined"));
+app.use(requestLogger);
+app.use(metricsMiddleware);
 app.use(express.json({ limit: "10mb" }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static("public"));
@@ -34,14 +41,38 @@ app.get("/", async (req, res) => {
   res.send("Hello you are verified you can login now");
 });
 
-app.use("/api", router);
-app.use("/api/auth", authrouter);
+app.use("/", healthrouter);
+if (!process.env.METRICS_PORT) {
+  app.get("/metrics", requireMetricsToken, serveMetrics);
+}
+app.use("/api", routerLogger("game"), router);
+app.use("/api/auth", routerLogger("auth"), authrouter);
+app.use("/api/runs", routerLogger("runs"), runsrouter);
+app.use("/api/admin", routerLogger("admin"), adminrouter);
+app.use("/api/achievements", routerLogger("achievements"), achievementsrouter);
+app.use("/api/daily", routerLogger("daily"), dailyrouter);
+app.use("/api/config", routerLogger("config"), configrouter);
+app.use("/api/openapi.json", routerLogger("openapi"), openapirouter);
+
+app.use(notFoundHandler);
+app.use(errorHandler);
 
 
 app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📱 Health check: http://localhost:${PORT}/health`);
-  console.log(`🌐 API Base URL: http://localhost:${PORT}/`);
+  logger.info("Server running", {
+    port: PORT,
+    health: `http://localhost:${PORT}/health`,
+    ready: `http://localhost:${PORT}/ready`,
+    api: `http://localhost:${PORT}/`
+  });
 });
 
+if (process.env.METRICS_PORT) {
+  const metricsApp = express();
+  metricsApp.get("/metrics", serveMetrics);
+  metricsApp.listen(process.env.METRICS_PORT, () => {
+    logger.info("Metrics server running", { port: process.env.METRICS_PORT });
+  });
+}
+
 export default app;
\ No newline at end of file
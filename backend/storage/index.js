@@ -0,0 +1,19 @@
+import { createSupabaseStorage } from "./supabase.js";
+import { createMemoryStorage } from "./memory.js";
+import { instrumentStorage } from "../lib/metrics.js";
+
+// STORAGE_DRIVER=memory runs the whole API without a Supabase project.
+const drivers = {
+  supabase: createSupabaseStorage,
+  memory: createMemoryStorage,
+};
+
+const driver = process.env.STORAGE_DRIVER || "supabase";
+
+if (!drivers[driver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${driver}"`);
+}
+
+const storage = instrumentStorage(drivers[driver]());
+
+export default storage;
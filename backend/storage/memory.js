@@ -0,0 +1,511 @@
+import crypto from "crypto";
+import logger from "../lib/logger.js";
+
+// Process-local adapter for offline development. Everything is lost on
+// restart; accounts are usable immediately (no email confirmation).
+// Emails listed in ADMIN_EMAILS (comma separated) sign up as admins.
+// Password recovery tokens are written to the log instead of being emailed.
+
+const ACCESS_TOKEN_TTL = 60 * 60 * 1000;
+const RECOVERY_TOKEN_TTL = 60 * 60 * 1000;
+
+function clone(value) {
+  return value == null ? value : structuredClone(value);
+}
+
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(password, salt, 64).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+function checkPassword(password, stored) {
+  const [salt, hash] = stored.split(":");
+  const candidate = crypto.scryptSync(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, "hex"));
+}
+
+function adminEmails() {
+  return (process.env.ADMIN_EMAILS || "").split(",").map(e => e.trim()).filter(Boolean);
+}
+
+export function createMemoryStorage() {
+  const db = {
+    users: new Map(),           // id -> { id, email, password, user_metadata, app_metadata, created_at }
+    tokens: new Map(),          // access token -> { userId, sessionId, expiresAt }
+    refreshTokens: new Map(),   // refresh token -> { userId, sessionId }
+    recoveryTokens: new Map(),  // recovery token -> { userId, expiresAt }
+    profiles: new Map(),        // user_id -> USER_PROFILES row
+    sessions: [],               // game_sessions rows
+    runs: [],                   // runs rows
+    achievements: [],           // achievements rows
+    dailyResults: [],           // daily_challenge_results rows
+    modeScores: [],             // mode_best_scores rows
+    audit: [],                  // admin_audit_log rows
+  };
+
+  const profiles = {
+    async findByUsername(username) {
+      const lower = username.toLowerCase();
+      const row = [...db.profiles.values()].find(p => p.user_name?.toLowerCase() === lower);
+      return { data: clone(row) ?? null, error: null };
+    },
+
+    async findByUserId(userId) {
+      return { data: clone(db.profiles.get(userId)) ?? null, error: null };
+    },
+
+    async create(profile) {
+      if (db.profiles.has(profile.user_id)) {
+        return { data: null, error: { message: "Profile already exists" } };
+      }
+      db.profiles.set(profile.user_id, clone(profile));
+      return { data: clone(profile), error: null };
+    },
+
+    async update(userId, fields) {
+      const row = db.profiles.get(userId);
+      if (row) Object.assign(row, clone(fields));
+      return { data: null, error: null };
+    },
+
+    async delete(userId) {
+      db.profiles.delete(userId);
+      return { data: null, error: null };
+    },
+  };
+
+  const sessions = {
+    async create(session) {
+      db.sessions.push(clone(session));
+      return { data: null, error: null };
+    },
+
+    async findActive(userId, sessionKey) {
+      const now = new Date().toISOString();
+      const row = db.sessions.find(s =>
+        s.user_id === userId && s.session_key === sessionKey && s.expires_at >= now
+      );
+      return { data: clone(row) ?? null, error: null };
+    },
+
+    async delete(userId, sessionKey) {
+      db.sessions = db.sessions.filter(s => !(s.user_id === userId && s.session_key === sessionKey));
+      return { data: null, error: null };
+    },
+
+    async listByUser(userId) {
+      return { data: clone(db.sessions.filter(s => s.user_id === userId)), error: null };
+    },
+
+    async deleteByUser(userId) {
+      db.sessions = db.sessions.filter(s => s.user_id !== userId);
+      return { data: null, error: null };
+    },
+
+    async deleteExpired() {
+      const now = new Date().toISOString();
+      db.sessions = db.sessions.filter(s => s.expires_at > now);
+      return { data: null, error: null };
+    },
+  };
+
+  const runs = {
+    async create(run) {
+      const row = { id: crypto.randomUUID(), ...clone(run) };
+      db.runs.push(row);
+      return { data: clone(row), error: null };
+    },
+
+    async listByUser(userId, { limit, offset }) {
+      const rows = db.runs
+        .filter(r => r.user_id === userId)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+      return { data: clone(rows.slice(offset, offset + limit)), count: rows.length, error: null };
+    },
+
+    async findById(id) {
+      return { data: clone(db.runs.find(r => r.id === id)) ?? null, error: null };
+    },
+
+    async update(id, fields) {
+      const row = db.runs.find(r => r.id === id);
+      if (row) Object.assign(row, clone(fields));
+      return { data: null, error: null };
+    },
+
+    async listByStatus(status, { userId, limit, offset }) {
+      const rows = db.runs
+        .filter(r => r.status === status && (!userId || r.user_id === userId))
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+      return { data: clone(rows.slice(offset, offset + limit)), count: rows.length, error: null };
+    },
+
+    async listRecent({ userId, limit, offset }) {
+      const rows = db.runs
+        .filter(r => !userId || r.user_id === userId)
+        .sort((a, b) => b.created_at.localeCompare(a.created_at));
+      return { data: clone(rows.slice(offset, offset + limit)), count: rows.length, error: null };
+    },
+
+    async listAllByUser(userId) {
+      const rows = db.runs
+        .filter(r => r.user_id === userId)
+        .map(({ score, duration, jump_count, obstacle_count, status, mode, created_at }) =>
+          ({ score, duration, jump_count, obstacle_count, status, mode, created_at }));
+      return { data: rows, error: null };
+    },
+
+    async exportByUser(userId) {
+      const rows = db.runs
+        .filter(r => r.user_id === userId)
+        .sort((a, b) => a.created_at.localeCompare(b.created_at));
+      return { data: clone(rows), error: null };
+    },
+
+    async deleteByUser(userId) {
+      db.runs = db.runs.filter(r => r.user_id !== userId);
+      return { data: null, error: null };
+    },
+  };
+
+  // Same boards as the Supabase adapter: profiles for all time, otherwise
+  // each visible player's best ranked run (not pending, rejected or removed)
+  // since `since` or in the daily challenge of `challengeDate`. Runs without
+  // a mode count as `mode`.
+  function compareBoardRows(a, b) {
+    if (b.score !== a.score) return b.score - a.score;
+    if (a.last_updated !== b.last_updated) return a.last_updated < b.last_updated ? -1 : 1;
+    return a.user_id < b.user_id ? -1 : a.user_id > b.user_id ? 1 : 0;
+  }
+
+  function boardRows({ since, mode, challengeDate }) {
+    const counts = challengeDate
+      ? run => run.mode === "daily" && run.challenge_date === challengeDate
+      : run => run.created_at >= since && (run.mode ?? mode) === mode && run.score > 0;
+
+    if (!since && !challengeDate) {
+      return [...db.profiles.values()]
+        .filter(p => p.score > 0 && !p.hidden_from_leaderboard)
+        .map(({ user_id, user_name, score, last_updated }) => ({ user_id, user_name, score, last_updated }))
+        .sort(compareBoardRows);
+    }
+
+    const best = new Map();
+    for (const run of db.runs) {
+      const profile = db.profiles.get(run.user_id);
+      if (!counts(run)) continue;
+      if (["pending", "rejected", "removed"].includes(run.status)) continue;
+      if (!profile || profile.hidden_from_leaderboard) continue;
+
+      const row = { user_id: run.user_id, user_name: profile.user_name, score: run.score, last_updated: run.created_at };
+      const current = best.get(run.user_id);
+      if (!current || compareBoardRows(row, current) < 0) {
+        best.set(run.user_id, row);
+      }
+    }
+    return [...best.values()].sort(compareBoardRows);
+  }
+
+  const leaderboard = {
+    async page(board, { after, offset, limit }) {
+      let rows = boardRows(board);
+      if (after) {
+        rows = rows.filter(r => compareBoardRows(r, after) > 0);
+      }
+      return { data: clone(rows.slice(offset, offset + limit)), count: rows.length, error: null };
+    },
+
+    async countThrough(board, entry) {
+      return { data: boardRows(board).filter(r => compareBoardRows(r, entry) <= 0).length, error: null };
+    },
+
+    async find(board, userId) {
+      return { data: clone(boardRows(board).find(r => r.user_id === userId)) ?? null, error: null };
+    },
+  };
+
+  const modeScores = {
+    async find(userId, mode) {
+      const row = db.modeScores.find(r => r.user_id === userId && r.mode === mode);
+      return { data: clone(row) ?? null, error: null };
+    },
+
+    async listByUser(userId) {
+      const rows = db.modeScores
+        .filter(r => r.user_id === userId)
+        .map(({ mode, score, last_updated }) => ({ mode, score, last_updated }));
+      return { data: clone(rows), error: null };
+    },
+
+    async upsert(row) {
+      const existing = db.modeScores.find(r => r.user_id === row.user_id && r.mode === row.mode);
+      if (existing) {
+        Object.assign(existing, clone(row));
+      } else {
+        db.modeScores.push(clone(row));
+      }
+      return { data: null, error: null };
+    },
+
+    async deleteByUser(userId) {
+      db.modeScores = db.modeScores.filter(r => r.user_id !== userId);
+      return { data: null, error: null };
+    },
+  };
+
+  const dailyResults = {
+    async findByDate(date, { limit, offset }) {
+      const rows = db.dailyResults
+        .filter(r => r.challenge_date === date)
+        .sort((a, b) => a.rank - b.rank);
+      return { data: clone(rows.slice(offset, offset + limit)), count: rows.length, error: null };
+    },
+
+    async create(rows) {
+      const inserted = rows.filter(row => !db.dailyResults.some(r =>
+        r.challenge_date === row.challenge_date && r.user_id === row.user_id
+      ));
+      db.dailyResults.push(...clone(inserted));
+      return { data: null, error: null };
+    },
+
+    async listByUser(userId) {
+      const rows = db.dailyResults
+        .filter(r => r.user_id === userId)
+        .sort((a, b) => a.challenge_date.localeCompare(b.challenge_date));
+      return { data: clone(rows), error: null };
+    },
+
+    async deleteByUser(userId) {
+      db.dailyResults = db.dailyResults.filter(r => r.user_id !== userId);
+      return { data: null, error: null };
+    },
+  };
+
+  const achievements = {
+    async listByUser(userId) {
+      const rows = db.achievements
+        .filter(a => a.user_id === userId)
+        .sort((a, b) => a.unlocked_at.localeCompare(b.unlocked_at))
+        .map(({ achievement_id, run_id, unlocked_at }) => ({ achievement_id, run_id, unlocked_at }));
+      return { data: clone(rows), error: null };
+    },
+
+    async create(rows) {
+      const inserted = rows.filter(row => !db.achievements.some(a =>
+        a.user_id === row.user_id && a.achievement_id === row.achievement_id
+      ));
+      db.achievements.push(...clone(inserted));
+      return { data: inserted.map(({ achievement_id }) => ({ achievement_id })), error: null };
+    },
+
+    async deleteByUser(userId) {
+      db.achievements = db.achievements.filter(a => a.user_id !== userId);
+      return { data: null, error: null };
+    },
+  };
+
+  function publicUser(user) {
+    const { password, ...rest } = user;
+    return clone(rest);
+  }
+
+  function issueSession(userId, sessionId) {
+    const accessToken = crypto.randomBytes(32).toString("hex");
+    const refreshToken = crypto.randomBytes(32).toString("hex");
+    const expiresAt = Date.now() + ACCESS_TOKEN_TTL;
+
+    db.tokens.set(accessToken, { userId, sessionId, expiresAt });
+    db.refreshTokens.set(refreshToken, { userId, sessionId });
+    return {
+      access_token: accessToken,
+      refresh_token: refreshToken,
+      expires_in: ACCESS_TOKEN_TTL / 1000,
+      expires_at: Math.floor(expiresAt / 1000),
+    };
+  }
+
+  function revokeTokens(matches) {
+    for (const map of [db.tokens, db.refreshTokens]) {
+      for (const [token, entry] of map.entries()) {
+        if (matches(entry)) map.delete(token);
+      }
+    }
+  }
+
+  const auth = {
+    async signUp(email, password, metadata) {
+      const exists = [...db.users.values()].some(u => u.email === email);
+      if (exists) {
+        return { data: { user: null, session: null }, error: { message: "User already registered" } };
+      }
+
+      const user = {
+        id: crypto.randomUUID(),
+        email,
+        password: hashPassword(password),
+        user_metadata: clone(metadata) || {},
+        app_metadata: adminEmails().includes(email) ? { role: "admin" } : {},
+        created_at: new Date().toISOString(),
+      };
+      db.users.set(user.id, user);
+      return { data: { user: publicUser(user), session: null }, error: null };
+    },
+
+    async signIn(email, password) {
+      const user = [...db.users.values()].find(u => u.email === email);
+      if (!user || !checkPassword(password, user.password)) {
+        return { data: { user: null, session: null }, error: { message: "Invalid login credentials" } };
+      }
+
+      return {
+        data: { user: publicUser(user), session: issueSession(user.id, crypto.randomUUID()) },
+        error: null,
+      };
+    },
+
+    async verifyPassword(email, password) {
+      const user = [...db.users.values()].find(u => u.email === email);
+      if (!user || !checkPassword(password, user.password)) {
+        return { data: null, error: { message: "Invalid login credentials" } };
+      }
+      return { data: { user: publicUser(user) }, error: null };
+    },
+
+    async signInAnonymously(metadata) {
+      const user = {
+        id: crypto.randomUUID(),
+        email: null,
+        password: null,
+        is_anonymous: true,
+        user_metadata: clone(metadata) || {},
+        app_metadata: {},
+        created_at: new Date().toISOString(),
+      };
+      db.users.set(user.id, user);
+      return {
+        data: { user: publicUser(user), session: issueSession(user.id, crypto.randomUUID()) },
+        error: null,
+      };
+    },
+
+    async upgradeAnonymous(userId, email, password, metadata) {
+      const user = db.users.get(userId);
+      if (!user) {
+        return { data: null, error: { message: "User not found" } };
+      }
+      if ([...db.users.values()].some(u => u.email === email)) {
+        return { data: null, error: { message: "A user with this email address has already been registered" } };
+      }
+
+      user.email = email;
+      user.password = hashPassword(password);
+      user.is_anonymous = false;
+      user.user_metadata = { ...user.user_metadata, ...clone(metadata) };
+      return { data: { user: publicUser(user) }, error: null };
+    },
+
+    async refreshSession(refreshToken) {
+      const entry = db.refreshTokens.get(refreshToken);
+      const user = entry && db.users.get(entry.userId);
+      if (!user) {
+        return { data: { user: null, session: null }, error: { message: "Invalid Refresh Token" } };
+      }
+
+      // Refresh tokens are single use; the old access token stays valid until it expires.
+      db.refreshTokens.delete(refreshToken);
+      return {
+        data: { user: publicUser(user), session: issueSession(user.id, entry.sessionId) },
+        error: null,
+      };
+    },
+
+    async signOut(accessToken) {
+      const entry = db.tokens.get(accessToken);
+      if (entry) {
+        revokeTokens(t => t.sessionId === entry.sessionId);
+      }
+      return { data: null, error: null };
+    },
+
+    async sendPasswordReset(email) {
+      const user = [...db.users.values()].find(u => u.email === email);
+      if (user) {
+        const recoveryToken = crypto.randomBytes(32).toString("hex");
+        db.recoveryTokens.set(recoveryToken, { userId: user.id, expiresAt: Date.now() + RECOVERY_TOKEN_TTL });
+        logger.info("Password recovery requested (memory driver)", { userId: user.id, recoveryCode: recoveryToken });
+      }
+      return { data: {}, error: null };
+    },
+
+    async resetPassword(tokenHash, password) {
+      const entry = db.recoveryTokens.get(tokenHash);
+      db.recoveryTokens.delete(tokenHash);
+      const user = entry && entry.expiresAt > Date.now() && db.users.get(entry.userId);
+      if (!user) {
+        return { data: null, error: { message: "Token has expired or is invalid" } };
+      }
+
+      user.password = hashPassword(password);
+      revokeTokens(t => t.userId === user.id);
+      return { data: { user: publicUser(user) }, error: null };
+    },
+
+    async resendVerification() {
+      return { data: {}, error: null };
+    },
+
+    async getUser(accessToken) {
+      const entry = db.tokens.get(accessToken);
+      const user = entry && entry.expiresAt > Date.now() && db.users.get(entry.userId);
+      if (!user) {
+        return { data: null, error: { message: "Invalid token" } };
+      }
+      return { data: publicUser(user), error: null };
+    },
+
+    async deleteUser(userId) {
+      db.users.delete(userId);
+      revokeTokens(t => t.userId === userId);
+      return { data: null, error: null };
+    },
+
+    async updateUserMetadata(userId, metadata) {
+      const user = db.users.get(userId);
+      if (!user) {
+        return { data: null, error: { message: "User not found" } };
+      }
+      user.user_metadata = { ...user.user_metadata, ...clone(metadata) };
+      return { data: { user: publicUser(user) }, error: null };
+    },
+  };
+
+  const audit = {
+    async create(entry) {
+      db.audit.push({ id: crypto.randomUUID(), ...clone(entry) });
+      return { data: null, error: null };
+    },
+
+    async list({ limit, offset }) {
+      const rows = [...db.audit].sort((a, b) => b.created_at.localeCompare(a.created_at));
+      return { data: clone(rows.slice(offset, offset + limit)), count: rows.length, error: null };
+    },
+  };
+
+  const storage = {
+    driver: "memory",
+    ping: async () => ({ error: null }),
+    profiles,
+    sessions,
+    runs,
+    leaderboard,
+    achievements,
+    modeScores,
+    dailyResults,
+    auth,
+    audit,
+    withToken: () => storage,
+  };
+
+  return storage;
+}
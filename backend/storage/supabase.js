@@ -0,0 +1,529 @@
+import { createClient } from "@supabase/supabase-js";
+
+// supabase-js keeps the last signed-in session in memory and sends its JWT
+// with every later query on that client, so clients here never keep one.
+const AUTH_OPTIONS = { persistSession: false, autoRefreshToken: false, detectSessionInUrl: false };
+
+function createSupabaseClient(token) {
+  return createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_KEY,
+    {
+      auth: AUTH_OPTIONS,
+      ...(token && { global: { headers: { Authorization: `Bearer ${token}` } } }),
+    }
+  );
+}
+
+// Auth admin calls (upgrades, password resets, deletion, renames) need the
+// service role key. It never signs in or queries tables, so user-scoped
+// queries keep running on the anon key under the player's token.
+let adminClient = null;
+
+function authAdmin() {
+  adminClient = adminClient || createClient(
+    process.env.SUPABASE_URL,
+    process.env.SUPABASE_SERVICE_ROLE_KEY,
+    { auth: AUTH_OPTIONS }
+  );
+  return adminClient.auth.admin;
+}
+
+// `.single()` reports "no rows" as PGRST116; callers only care that nothing was found.
+function notFoundAsNull({ data, error }) {
+  if (error && error.code === "PGRST116") {
+    return { data: null, error: null };
+  }
+  return { data, error };
+}
+
+// PostgREST caps each response (1000 rows by default), so page through ranges.
+const PAGE_SIZE = 1000;
+
+async function fetchAll(buildQuery) {
+  const rows = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    const { data, error } = await buildQuery().range(from, from + PAGE_SIZE - 1);
+    if (error) return { data: null, error };
+    rows.push(...data);
+    if (data.length < PAGE_SIZE) return { data: rows, error: null };
+  }
+}
+
+export function createSupabaseStorage(token) {
+  const supabase = createSupabaseClient(token);
+
+  // Calls that sign a user in (password, anonymous, refresh, OTP) get a
+  // throwaway client, so `supabase` always queries as `token` or anon.
+  const signInClient = () => createSupabaseClient().auth;
+
+  const profiles = {
+    // Case-insensitive; `_` and `%` are escaped so they match literally.
+    async findByUsername(username) {
+      return await supabase
+        .from("USER_PROFILES")
+        .select("*")
+        .ilike("user_name", username.replace(/[\\%_]/g, "\\$&"))
+        .limit(1)
+        .maybeSingle();
+    },
+
+    async findByUserId(userId) {
+      return notFoundAsNull(await supabase
+        .from("USER_PROFILES")
+        .select("*")
+        .eq("user_id", userId)
+        .single());
+    },
+
+    async create(profile) {
+      return await supabase
+        .from("USER_PROFILES")
+        .insert(profile)
+        .select("*")
+        .single();
+    },
+
+    async update(userId, fields) {
+      return await supabase
+        .from("USER_PROFILES")
+        .update(fields)
+        .eq("user_id", userId);
+    },
+
+    async delete(userId) {
+      return await supabase
+        .from("USER_PROFILES")
+        .delete()
+        .eq("user_id", userId);
+    },
+  };
+
+  const sessions = {
+    async create(session) {
+      return await supabase
+        .from("game_sessions")
+        .insert(session);
+    },
+
+    async findActive(userId, sessionKey) {
+      return notFoundAsNull(await supabase
+        .from("game_sessions")
+        .select("*")
+        .eq("user_id", userId)
+        .eq("session_key", sessionKey)
+        .gte("expires_at", new Date().toISOString())
+        .single());
+    },
+
+    async delete(userId, sessionKey) {
+      return await supabase
+        .from("game_sessions")
+        .delete()
+        .eq("user_id", userId)
+        .eq("session_key", sessionKey);
+    },
+
+    async listByUser(userId) {
+      return await supabase
+        .from("game_sessions")
+        .select("*")
+        .eq("user_id", userId);
+    },
+
+    async deleteByUser(userId) {
+      return await supabase
+        .from("game_sessions")
+        .delete()
+        .eq("user_id", userId);
+    },
+
+    async deleteExpired() {
+      return await supabase
+        .from("game_sessions")
+        .delete()
+        .lte("expires_at", new Date().toISOString());
+    },
+  };
+
+  const runs = {
+    async create(run) {
+      return await supabase
+        .from("runs")
+        .insert(run)
+        .select("*")
+        .single();
+    },
+
+    async listByUser(userId, { limit, offset }) {
+      return await supabase
+        .from("runs")
+        .select("*", { count: "exact" })
+        .eq("user_id", userId)
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+    },
+
+    async findById(id) {
+      return notFoundAsNull(await supabase
+        .from("runs")
+        .select("*")
+        .eq("id", id)
+        .single());
+    },
+
+    async update(id, fields) {
+      return await supabase
+        .from("runs")
+        .update(fields)
+        .eq("id", id);
+    },
+
+    async listByStatus(status, { userId, limit, offset }) {
+      let query = supabase
+        .from("runs")
+        .select("*", { count: "exact" })
+        .eq("status", status);
+
+      if (userId) {
+        query = query.eq("user_id", userId);
+      }
+
+      return await query
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+    },
+
+    async listRecent({ userId, limit, offset }) {
+      let query = supabase
+        .from("runs")
+        .select("*", { count: "exact" });
+
+      if (userId) {
+        query = query.eq("user_id", userId);
+      }
+
+      return await query
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+    },
+
+    // Paged with a total order, so players with more runs than one
+    // PostgREST response still get every run counted.
+    async listAllByUser(userId) {
+      return await fetchAll(() => supabase
+        .from("runs")
+        .select("score, duration, jump_count, obstacle_count, status, mode, created_at")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true })
+        .order("id", { ascending: true }));
+    },
+
+    // Every column of every run, for the account export.
+    async exportByUser(userId) {
+      return await fetchAll(() => supabase
+        .from("runs")
+        .select("*")
+        .eq("user_id", userId)
+        .order("created_at", { ascending: true }));
+    },
+
+    async deleteByUser(userId) {
+      return await supabase
+        .from("runs")
+        .delete()
+        .eq("user_id", userId);
+    },
+  };
+
+  // The all-time board is USER_PROFILES; a windowed board is the
+  // window_best_scores function (see README), each player's best ranked run
+  // since `since`, and a daily board challenge_best_scores, the best ranked
+  // run of that challenge. All have the same columns, so ordering, the
+  // keyset cursor and counts run in the database and only one page comes
+  // back.
+  const BOARD_COLUMNS = "user_id, user_name, score, last_updated";
+
+  function boardQuery({ since, mode, challengeDate }, columns, options) {
+    if (challengeDate) {
+      return supabase
+        .rpc("challenge_best_scores", { p_date: challengeDate }, options)
+        .select(columns);
+    }
+    if (since) {
+      return supabase
+        .rpc("window_best_scores", { p_since: since, p_mode: mode }, options)
+        .select(columns);
+    }
+    return supabase
+      .from("USER_PROFILES")
+      .select(columns, options)
+      .gt("score", 0)
+      .not("hidden_from_leaderboard", "is", true);
+  }
+
+  // Board order is score desc, last_updated asc, user_id asc.
+  function afterFilter({ score, last_updated, user_id }) {
+    return `score.lt.${score},` +
+      `and(score.eq.${score},last_updated.gt."${last_updated}"),` +
+      `and(score.eq.${score},last_updated.eq."${last_updated}",user_id.gt.${user_id})`;
+  }
+
+  function throughFilter({ score, last_updated, user_id }) {
+    return `score.gt.${score},` +
+      `and(score.eq.${score},last_updated.lt."${last_updated}"),` +
+      `and(score.eq.${score},last_updated.eq."${last_updated}",user_id.lte.${user_id})`;
+  }
+
+  const leaderboard = {
+    // `count` is the number of entries after `after` (all of them without it).
+    async page(board, { after, offset, limit }) {
+      let query = boardQuery(board, BOARD_COLUMNS, { count: "exact" });
+      if (after) {
+        query = query.or(afterFilter(after));
+      }
+      return await query
+        .order("score", { ascending: false })
+        .order("last_updated", { ascending: true })
+        .order("user_id", { ascending: true })
+        .range(offset, offset + limit - 1);
+    },
+
+    // Entries ranked at or above `entry`.
+    async countThrough(board, entry) {
+      const { count, error } = await boardQuery(board, "user_id", { count: "exact", head: true })
+        .or(throughFilter(entry));
+      return { data: count ?? 0, error };
+    },
+
+    async find(board, userId) {
+      return await boardQuery(board, BOARD_COLUMNS)
+        .eq("user_id", userId)
+        .maybeSingle();
+    },
+  };
+
+  const modeScores = {
+    async find(userId, mode) {
+      return await supabase
+        .from("mode_best_scores")
+        .select("*")
+        .eq("user_id", userId)
+        .eq("mode", mode)
+        .maybeSingle();
+    },
+
+    async listByUser(userId) {
+      return await supabase
+        .from("mode_best_scores")
+        .select("mode, score, last_updated")
+        .eq("user_id", userId);
+    },
+
+    async upsert(row) {
+      return await supabase
+        .from("mode_best_scores")
+        .upsert(row, { onConflict: "user_id,mode" });
+    },
+
+    async deleteByUser(userId) {
+      return await supabase
+        .from("mode_best_scores")
+        .delete()
+        .eq("user_id", userId);
+    },
+  };
+
+  const dailyResults = {
+    async findByDate(date, { limit, offset }) {
+      return await supabase
+        .from("daily_challenge_results")
+        .select("*", { count: "exact" })
+        .eq("challenge_date", date)
+        .order("rank", { ascending: true })
+        .range(offset, offset + limit - 1);
+    },
+
+    async create(rows) {
+      return await supabase
+        .from("daily_challenge_results")
+        .upsert(rows, { onConflict: "challenge_date,user_id", ignoreDuplicates: true });
+    },
+
+    async listByUser(userId) {
+      return await supabase
+        .from("daily_challenge_results")
+        .select("*")
+        .eq("user_id", userId)
+        .order("challenge_date", { ascending: true });
+    },
+
+    async deleteByUser(userId) {
+      return await supabase
+        .from("daily_challenge_results")
+        .delete()
+        .eq("user_id", userId);
+    },
+  };
+
+  const achievements = {
+    async listByUser(userId) {
+      return await supabase
+        .from("achievements")
+        .select("achievement_id, run_id, unlocked_at")
+        .eq("user_id", userId)
+        .order("unlocked_at", { ascending: true });
+    },
+
+    // Rows already unlocked are skipped; only newly inserted rows come back.
+    async create(rows) {
+      return await supabase
+        .from("achievements")
+        .upsert(rows, { onConflict: "user_id,achievement_id", ignoreDuplicates: true })
+        .select("achievement_id");
+    },
+
+    async deleteByUser(userId) {
+      return await supabase
+        .from("achievements")
+        .delete()
+        .eq("user_id", userId);
+    },
+  };
+
+  const auth = {
+    async signUp(email, password, metadata) {
+      return await signInClient().signUp({
+        email,
+        password,
+        options: { data: metadata },
+      });
+    },
+
+    async signIn(email, password) {
+      return await signInClient().signInWithPassword({ email, password });
+    },
+
+    // Checks the password without leaving a session behind: the one the
+    // check creates is revoked straight away.
+    async verifyPassword(email, password) {
+      const { data, error } = await signInClient().signInWithPassword({ email, password });
+      if (error) return { data: null, error };
+
+      const { error: signOutError } = await authAdmin().signOut(data.session.access_token, "local");
+      if (signOutError) return { data: null, error: signOutError };
+      return { data: { user: data.user }, error: null };
+    },
+
+    // Requires anonymous sign-ins to be enabled for the project.
+    async signInAnonymously(metadata) {
+      return await signInClient().signInAnonymously({ options: { data: metadata } });
+    },
+
+    // Attaching an email identity turns the anonymous user into a regular
+    // one; the user id, and with it profile and runs, stay the same.
+    async upgradeAnonymous(userId, email, password, metadata) {
+      return await authAdmin().updateUserById(userId, {
+        email,
+        password,
+        user_metadata: metadata,
+      });
+    },
+
+    async refreshSession(refreshToken) {
+      return await signInClient().refreshSession({ refresh_token: refreshToken });
+    },
+
+    // Revokes only the session the access token belongs to.
+    async signOut(accessToken) {
+      return await authAdmin().signOut(accessToken, "local");
+    },
+
+    async sendPasswordReset(email, redirectTo) {
+      return await supabase.auth.resetPasswordForEmail(email, { redirectTo });
+    },
+
+    // `tokenHash` comes from the recovery email ({{ .TokenHash }}). Every
+    // session of the user is revoked once the password has changed.
+    async resetPassword(tokenHash, password) {
+      const { data, error } = await signInClient().verifyOtp({ token_hash: tokenHash, type: "recovery" });
+      if (error || !data?.user || !data.session) {
+        return { data: null, error: error || { message: "Invalid recovery token" } };
+      }
+
+      // Every existing session is revoked before the password changes, so a
+      // failure here never leaves old sessions alive under the new password.
+      const { error: signOutError } = await authAdmin().signOut(data.session.access_token, "global");
+      if (signOutError) {
+        return { data: null, error: signOutError };
+      }
+
+      const { error: updateError } = await authAdmin().updateUserById(data.user.id, { password });
+      if (updateError) {
+        return { data: null, error: updateError };
+      }
+
+      return { data: { user: data.user }, error: null };
+    },
+
+    async resendVerification(email, redirectTo) {
+      return await supabase.auth.resend({
+        type: "signup",
+        email,
+        options: { emailRedirectTo: redirectTo },
+      });
+    },
+
+    async getUser(accessToken) {
+      const { data, error } = await supabase.auth.getUser(accessToken);
+      return { data: data?.user ?? null, error };
+    },
+
+    async deleteUser(userId) {
+      return await authAdmin().deleteUser(userId);
+    },
+
+    async updateUserMetadata(userId, metadata) {
+      return await authAdmin().updateUserById(userId, { user_metadata: metadata });
+    },
+  };
+
+  const audit = {
+    async create(entry) {
+      return await supabase
+        .from("admin_audit_log")
+        .insert(entry);
+    },
+
+    async list({ limit, offset }) {
+      return await supabase
+        .from("admin_audit_log")
+        .select("*", { count: "exact" })
+        .order("created_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+    },
+  };
+
+  async function ping() {
+    const { error } = await supabase
+      .from("USER_PROFILES")
+      .select("user_id", { head: true, count: "exact" })
+      .limit(1);
+    return { error };
+  }
+
+  return {
+    driver: "supabase",
+    ping,
+    profiles,
+    sessions,
+    runs,
+    leaderboard,
+    achievements,
+    modeScores,
+    dailyResults,
+    auth,
+    audit,
+    withToken: (accessToken) => createSupabaseStorage(accessToken),
+  };
+}